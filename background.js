@@ -6,13 +6,26 @@
 
 console.log("[S3 Lens BG] Service worker started");
 
-const DEFAULTS = {
+const PROFILE_DEFAULTS = {
+  name: "",
   workspaceUrl: "",
   warehouseId: "",
+  authMethod: "pat", // "pat" | "oauth-m2m" | "oauth-u2m"
   patToken: "",
+  clientId: "",
+  clientSecret: "",
+  backend: "sql", // "sql" | "rest" | "rest-sql"
+  warehousePolicy: "start", // stopped warehouse: "start" it, or "fallback" to a running one
+  buckets: [],
+  indexMode: false,
+  externalPaths: null, // null: saved before the setting existed, see externalPathsEnabled
 };
 
-const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours; object details cache
+const INDEX_REFRESH_MS = 15 * 60 * 1000; // incremental index refresh via last_altered
+const INDEX_REBUILD_MS = CACHE_TTL_MS; // full rebuild drops tables that no longer exist
 
 // --------------- Storage Helpers ---------------
 
@@ -24,40 +37,695 @@ async function setStorage(data) {
   return chrome.storage.local.set(data);
 }
 
+async function removeStorage(keys) {
+  return chrome.storage.local.remove(keys);
+}
+
+// Small caches of key -> { data, cachedAt } stored under one storage key
+// (detailsCache, freshnessCache, governanceCache). Lookups and hovers from
+// several tabs fill them at once, so writes are serialized per storage key
+// and merge only the entries a caller fetched into what is stored by then.
+// Expired entries are dropped on every write.
+const ttlCacheWrites = new Map(); // storage key -> tail of its write chain
+
+/**
+ * Fresh entries of a TTL cache among keys, as key -> data.
+ */
+async function readTtlCache(storageKey, ttlMs, keys) {
+  const { [storageKey]: cache = {} } = await getStorage([storageKey]);
+  const now = Date.now();
+  const fresh = {};
+  for (const key of keys) {
+    const entry = cache[key];
+    if (entry && now - entry.cachedAt < ttlMs) fresh[key] = entry.data;
+  }
+  return fresh;
+}
+
+/**
+ * Store the cache update(cache) returns, serialized with every other write
+ * to the same cache.
+ */
+function updateTtlCache(storageKey, ttlMs, update) {
+  const previous = ttlCacheWrites.get(storageKey) || Promise.resolve();
+  const write = previous.then(async () => {
+    const { [storageKey]: stored = {} } = await getStorage([storageKey]);
+    const cache = update(stored);
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(cache)) {
+      if (now - entry.cachedAt >= ttlMs) delete cache[key];
+    }
+    await setStorage({ [storageKey]: cache });
+  });
+  ttlCacheWrites.set(storageKey, write.catch(() => {}));
+  return write;
+}
+
+/**
+ * Add entries (key -> data) to a TTL cache.
+ */
+function writeTtlCache(storageKey, ttlMs, entries) {
+  const cachedAt = Date.now();
+  return updateTtlCache(storageKey, ttlMs, (cache) => {
+    for (const [key, data] of Object.entries(entries)) cache[key] = { data, cachedAt };
+    return cache;
+  });
+}
+
 async function getConfig() {
   const stored = await getStorage([
+    "profiles",
     "workspaceUrl",
     "warehouseId",
     "patToken",
-    "uuidCache",
     "cacheUpdatedAt",
+    "cacheSettings",
+    "cacheStats",
+    "indexMeta",
+    "oauthTokens",
+    "notFoundCache",
+    "orphans",
+    "offlineMode",
+    "importedMappings",
+    "siteSettings",
+    "freshnessSettings",
+    "governanceSettings",
   ]);
+  const profiles = (stored.profiles || legacyProfiles(stored)).map((p) => ({
+    ...PROFILE_DEFAULTS,
+    ...p,
+  }));
   return {
-    workspaceUrl: stored.workspaceUrl || DEFAULTS.workspaceUrl,
-    warehouseId: stored.warehouseId || DEFAULTS.warehouseId,
-    patToken: stored.patToken || DEFAULTS.patToken,
-    uuidCache: stored.uuidCache || {},
+    profiles,
     cacheUpdatedAt: stored.cacheUpdatedAt || null,
+    cacheSettings: cacheSettingsWithDefaults(stored.cacheSettings),
+    cacheStats: stored.cacheStats || { hits: 0, misses: 0, since: Date.now() },
+    indexMeta: stored.indexMeta || {},
+    oauthTokens: stored.oauthTokens || {},
+    notFoundCache: stored.notFoundCache || {},
+    orphans: stored.orphans || {},
+    offlineMode: !!stored.offlineMode,
+    importedMappings: stored.importedMappings || [],
+    siteSettings: stored.siteSettings || {}, // site id -> false when annotation is off
+    freshnessSettings: freshnessSettingsWithDefaults(stored.freshnessSettings),
+    governanceSettings: governanceSettingsWithDefaults(stored.governanceSettings),
+  };
+}
+
+const LEGACY_PROFILE_ID = "default";
+
+/**
+ * Before workspace profiles existed, a single workspace was stored as
+ * top-level keys. Expose it as a "Default" profile until the user saves
+ * a profile, at which point the profiles array takes over.
+ */
+function legacyProfiles(stored) {
+  if (!stored.workspaceUrl) return [];
+  return [
+    {
+      id: LEGACY_PROFILE_ID,
+      name: "Default",
+      workspaceUrl: stored.workspaceUrl,
+      warehouseId: stored.warehouseId || "",
+      patToken: stored.patToken || "",
+      buckets: [],
+    },
+  ];
+}
+
+// --------------- Logging ---------------
+
+// Console output is filtered by the log level picked on the diagnostics page.
+// Notable events (lookups, cache hits and misses, SQL statements, failures)
+// also go to a capped activity log in storage, which outlives the service
+// worker and can be copied into a bug report.
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_LEVEL_DEFAULT = "info";
+const LOG_MAX_ENTRIES = 2000;
+const LOG_FLUSH_MS = 1000;
+
+let consoleLevel = LOG_LEVEL_DEFAULT;
+getStorage("logLevel").then(({ logLevel }) => {
+  consoleLevel = logLevel || LOG_LEVEL_DEFAULT;
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.logLevel) {
+    consoleLevel = changes.logLevel.newValue || LOG_LEVEL_DEFAULT;
+  }
+});
+
+function consoleEnabled(level) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(consoleLevel);
+}
+
+const log = {
+  debug(...args) {
+    if (consoleEnabled("debug")) console.log(...args);
+  },
+  info(...args) {
+    if (consoleEnabled("info")) console.log(...args);
+  },
+  warn(...args) {
+    if (consoleEnabled("warn")) console.warn(...args);
+  },
+  error(...args) {
+    if (consoleEnabled("error")) console.error(...args);
+  },
+};
+
+let logBuffer = [];
+let logFlushTimer = null;
+let logWrite = Promise.resolve(); // serializes read-modify-write of activityLog
+
+/**
+ * Record an event in the activity log, e.g.
+ * logEvent("info", "sql", { statementId, durationMs }).
+ * Entries are buffered and written to storage in batches.
+ */
+function logEvent(level, event, detail = {}) {
+  logBuffer.push({ at: Date.now(), level, event, ...detail });
+  if (!logFlushTimer) logFlushTimer = setTimeout(flushActivityLog, LOG_FLUSH_MS);
+}
+
+function flushActivityLog() {
+  clearTimeout(logFlushTimer);
+  logFlushTimer = null;
+  const entries = logBuffer;
+  logBuffer = [];
+  logWrite = logWrite
+    .then(async () => {
+      if (entries.length === 0) return;
+      const { activityLog = [] } = await getStorage("activityLog");
+      await setStorage({ activityLog: activityLog.concat(entries).slice(-LOG_MAX_ENTRIES) });
+    })
+    .catch((err) => console.error("[S3 Lens BG] Activity log write failed:", err.message));
+  return logWrite;
+}
+
+async function getActivityLog() {
+  await flushActivityLog();
+  const { activityLog = [] } = await getStorage("activityLog");
+  return activityLog;
+}
+
+async function clearActivityLog() {
+  logBuffer = [];
+  await flushActivityLog();
+  await removeStorage("activityLog");
+}
+
+// --------------- Profile Routing ---------------
+
+/**
+ * Match a bucket name against a profile bucket pattern.
+ * Patterns are bucket names where "*" matches any run of characters,
+ * e.g. "prod-lake" or "prod-*".
+ */
+function bucketMatches(pattern, bucket) {
+  const escaped = pattern
+    .trim()
+    .toLowerCase()
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`).test(bucket.toLowerCase());
+}
+
+/**
+ * Pick the profile mapped to a bucket, or null when the bucket is unknown
+ * or no profile claims it.
+ */
+function profileForBucket(profiles, bucket) {
+  if (!bucket) return null;
+  return (
+    profiles.find((p) => p.buckets.some((pattern) => pattern && bucketMatches(pattern, bucket))) ||
+    null
+  );
+}
+
+// --------------- Authentication ---------------
+
+// Profiles authenticate with a PAT, with OAuth machine-to-machine (service
+// principal client ID + secret, client_credentials grant), or with OAuth
+// user-to-machine (authorization code + PKCE through
+// chrome.identity.launchWebAuthFlow). OAuth tokens are cached per profile in
+// "oauthTokens" and refreshed shortly before they expire.
+
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000; // refresh a minute before expiry
+const OAUTH_SCOPES = "all-apis offline_access";
+
+const tokenRequests = new Map(); // profileId -> in-flight token promise
+
+function isOAuth(profile) {
+  return profile.authMethod === "oauth-m2m" || profile.authMethod === "oauth-u2m";
+}
+
+/**
+ * Returns why a profile cannot authenticate, or null when its credentials
+ * are configured. A U2M profile may still need an interactive sign-in.
+ */
+function credentialsError(profile) {
+  if (profile.authMethod === "oauth-m2m") {
+    return profile.clientId && profile.clientSecret ? null : "No OAuth client ID and secret configured";
+  }
+  if (profile.authMethod === "oauth-u2m") {
+    return profile.clientId ? null : "No OAuth client ID configured";
+  }
+  return profile.patToken ? null : "No PAT token configured";
+}
+
+async function authHeaders(profile) {
+  return { Authorization: `Bearer ${await getAccessToken(profile)}` };
+}
+
+async function getAccessToken(profile) {
+  if (!isOAuth(profile)) return profile.patToken;
+
+  const { oauthTokens } = await getConfig();
+  const token = oauthTokens[profile.id];
+  if (token && token.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+    return token.accessToken;
+  }
+
+  if (!tokenRequests.has(profile.id)) {
+    tokenRequests.set(
+      profile.id,
+      refreshAccessToken(profile, token).finally(() => tokenRequests.delete(profile.id))
+    );
+  }
+  return (await tokenRequests.get(profile.id)).accessToken;
+}
+
+async function refreshAccessToken(profile, previous) {
+  if (profile.authMethod === "oauth-m2m") {
+    return requestToken(profile, { grant_type: "client_credentials", scope: "all-apis" });
+  }
+
+  if (!previous?.refreshToken) {
+    throw new Error(`Sign in required for profile "${profile.name}" — use Sign In in the popup`);
+  }
+  try {
+    return await requestToken(
+      profile,
+      { grant_type: "refresh_token", refresh_token: previous.refreshToken, client_id: profile.clientId },
+      previous.refreshToken
+    );
+  } catch (err) {
+    log.warn("[S3 Lens BG] OAuth refresh failed:", err.message);
+    logEvent("warn", "oauth-refresh", { profileId: profile.id, error: err.message });
+    await saveToken(profile.id, null);
+    throw new Error(`Sign in required for profile "${profile.name}" — use Sign In in the popup`);
+  }
+}
+
+async function requestToken(profile, params, previousRefreshToken = null) {
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  if (profile.authMethod === "oauth-m2m") {
+    headers.Authorization = `Basic ${btoa(`${profile.clientId}:${profile.clientSecret}`)}`;
+  }
+
+  const resp = await fetch(`${profile.workspaceUrl.replace(/\/+$/, "")}/oidc/v1/token`, {
+    method: "POST",
+    headers,
+    body: new URLSearchParams(params),
+  });
+  if (!resp.ok) {
+    const text = await resp.text();
+    throw new Error(`OAuth token request failed (${resp.status}): ${text}`);
+  }
+
+  const data = await resp.json();
+  const token = {
+    accessToken: data.access_token,
+    expiresAt: Date.now() + (data.expires_in || 3600) * 1000,
+    refreshToken: data.refresh_token || previousRefreshToken,
   };
+  await saveToken(profile.id, token);
+  log.info(`[S3 Lens BG] OAuth token issued [${profile.id}], expires`, new Date(token.expiresAt).toISOString());
+  return token;
+}
+
+async function saveToken(profileId, token) {
+  const { oauthTokens } = await getConfig();
+  if (token) oauthTokens[profileId] = token;
+  else delete oauthTokens[profileId];
+  await setStorage({ oauthTokens });
+}
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Interactive U2M sign-in: authorization code flow with PKCE. The OAuth app
+ * registered in the Databricks account must allow the extension's
+ * chrome.identity redirect URL.
+ */
+async function signIn(profile) {
+  const verifier = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier));
+  const state = crypto.randomUUID();
+  const redirectUri = chrome.identity.getRedirectURL();
+
+  const authUrl = new URL(`${profile.workspaceUrl.replace(/\/+$/, "")}/oidc/v1/authorize`);
+  authUrl.search = new URLSearchParams({
+    client_id: profile.clientId,
+    redirect_uri: redirectUri,
+    response_type: "code",
+    scope: OAUTH_SCOPES,
+    state,
+    code_challenge: base64UrlEncode(new Uint8Array(digest)),
+    code_challenge_method: "S256",
+  });
+
+  const responseUrl = await chrome.identity.launchWebAuthFlow({
+    url: authUrl.toString(),
+    interactive: true,
+  });
+  const returned = new URL(responseUrl);
+  if (returned.searchParams.get("error")) {
+    throw new Error(
+      `Sign in failed: ${returned.searchParams.get("error_description") || returned.searchParams.get("error")}`
+    );
+  }
+  if (returned.searchParams.get("state") !== state) {
+    throw new Error("Sign in failed: OAuth state mismatch");
+  }
+
+  return requestToken(profile, {
+    grant_type: "authorization_code",
+    code: returned.searchParams.get("code"),
+    redirect_uri: redirectUri,
+    code_verifier: verifier,
+    client_id: profile.clientId,
+  });
+}
+
+/**
+ * Identity the profile's credentials act as, from the SCIM Me endpoint.
+ * For a service principal this is its display name or application ID.
+ */
+async function whoAmI(profile) {
+  const resp = await fetch(
+    `${profile.workspaceUrl.replace(/\/+$/, "")}/api/2.0/preview/scim/v2/Me`,
+    { headers: await authHeaders(profile) }
+  );
+  if (!resp.ok) {
+    const text = await resp.text();
+    throw new Error(`Identity lookup failed (${resp.status}): ${text}`);
+  }
+  const me = await resp.json();
+  return me.userName || me.displayName || me.applicationId || "unknown";
+}
+
+// --------------- Storage Paths ---------------
+
+// __unitystorage path segment -> object type
+const PATH_KINDS = {
+  catalogs: "catalog",
+  schemas: "schema",
+  tables: "table",
+  volumes: "volume",
+  models: "model",
+};
+
+/**
+ * Extract typed UUIDs from a storage_path such as
+ * s3://bucket/__unitystorage/schemas/<schema_uuid>/tables/<table_uuid>.
+ */
+function parseStoragePath(storagePath) {
+  const idx = storagePath.indexOf("__unitystorage/");
+  if (idx === -1) return [];
+
+  const segments = storagePath.substring(idx).split("/");
+  const results = [];
+  for (let i = 1; i < segments.length; i += 2) {
+    const type = PATH_KINDS[segments[i]];
+    const uuid = (segments[i + 1] || "").toLowerCase();
+    if (type && UUID_RE.test(uuid)) results.push({ uuid, type });
+  }
+  return results;
+}
+
+/**
+ * Name of a UUID of the given type found in the storage path of the leaf
+ * object catalog.schema.name: the leaf itself, or its schema or catalog.
+ */
+function fullNameFor(type, catalog, schema, name) {
+  if (type === "catalog") return catalog;
+  if (type === "schema") return `${catalog}.${schema}`;
+  return `${catalog}.${schema}.${name}`;
+}
+
+/**
+ * Map every UUID in each row's storage path to a name. Rows are
+ * [catalog, schema, name, storagePath, ...] for tables or volumes.
+ */
+function entriesFromRows(rows) {
+  const entries = {};
+  for (const [catalog, schema, name, storagePath] of rows) {
+    for (const { uuid, type } of parseStoragePath(storagePath || "")) {
+      entries[uuid] = { type, fullName: fullNameFor(type, catalog, schema, name) };
+    }
+  }
+  return entries;
 }
 
 // --------------- Databricks SQL Statement API ---------------
 
-async function executeSql(workspaceUrl, patToken, warehouseId, sql) {
-  const url = `${workspaceUrl.replace(/\/+$/, "")}/api/2.0/sql/statements`;
+const SQL_WAIT_TIMEOUT = "30s"; // server-side wait before we start polling
+const SQL_TIMEOUT_MS = 2 * 60 * 1000; // cancel statements running longer than this
+const SQL_BATCH_SIZE = 200; // max UUIDs bound into one statement
+const RETRY_STATUSES = [429, 503];
+const MAX_RETRIES = 5;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Settle with promise, or reject as soon as signal aborts, leaving the
+ * promise itself running.
+ */
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(new Error("SQL cancelled: lookup abandoned"));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new Error("SQL cancelled: lookup abandoned"));
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * fetch() that retries on HTTP 429/503 with exponential backoff, honoring
+ * Retry-After when the server sends one.
+ */
+async function fetchWithBackoff(url, init = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const resp = await fetch(url, init);
+    if (!RETRY_STATUSES.includes(resp.status) || attempt >= MAX_RETRIES) return resp;
+
+    const retryAfter = Number(resp.headers.get("Retry-After"));
+    const delay = retryAfter > 0 ? retryAfter * 1000 : Math.min(1000 * 2 ** attempt, 30000);
+    log.warn(`[S3 Lens BG] HTTP ${resp.status}, retrying in ${delay}ms (attempt ${attempt + 1})`);
+    logEvent("warn", "http-retry", { url: url.split("?")[0], status: resp.status, delayMs: delay, attempt: attempt + 1 });
+    await sleep(delay);
+  }
+}
+
+async function cancelStatement(profile, statementId) {
+  if (!statementId) return;
+  const url = `${profile.workspaceUrl.replace(/\/+$/, "")}/api/2.0/sql/statements/${statementId}/cancel`;
+  try {
+    await fetchWithBackoff(url, { method: "POST", headers: await authHeaders(profile) });
+    log.info("[S3 Lens BG] Cancelled statement", statementId);
+  } catch (err) {
+    log.warn("[S3 Lens BG] Cancel failed for statement", statementId, ":", err.message);
+  }
+}
+
+// --------------- SQL Warehouses ---------------
+
+// Before the first statement of a lookup, the profile's warehouse is checked.
+// A stopped warehouse is started explicitly and waited for (tabs with a
+// running lookup are told it is starting), or, with the "fallback" policy,
+// another running warehouse takes the statements instead. A RUNNING state is
+// trusted for a minute so every statement doesn't cost an extra API call.
+
+const WAREHOUSE_POLL_MS = 5000;
+const WAREHOUSE_START_TIMEOUT_MS = 10 * 60 * 1000;
+const WAREHOUSE_READY_TTL_MS = 60 * 1000;
+
+const warehouseReady = new Map(); // profileId -> { configured, warehouseId, checkedAt }
+// profileId -> { promise, controller, waiters } of the in-flight readiness
+// check. Lookups from several tabs share one check; it has its own abort
+// controller and is only cancelled once every waiting lookup is abandoned.
+const warehouseChecks = new Map();
+
+async function warehousesApi(profile, path = "", init = {}) {
+  const url = `${profile.workspaceUrl.replace(/\/+$/, "")}/api/2.0/sql/warehouses${path}`;
+  const resp = await fetchWithBackoff(url, {
+    ...init,
+    headers: await authHeaders(profile),
+  });
+  if (!resp.ok) {
+    const text = await resp.text();
+    throw new Error(`SQL warehouses API failed (${resp.status}): ${text}`);
+  }
+  return resp.json();
+}
+
+function describeWarehouse(w) {
+  return {
+    id: w.id,
+    name: w.name,
+    size: w.cluster_size || null,
+    serverless: !!w.enable_serverless_compute,
+    state: w.state,
+  };
+}
+
+async function listWarehouses(profile) {
+  const data = await warehousesApi(profile);
+  return (data.warehouses || []).map(describeWarehouse);
+}
+
+async function startWarehouse(profile, warehouseId) {
+  await warehousesApi(profile, `/${encodeURIComponent(warehouseId)}/start`, { method: "POST" });
+  log.info("[S3 Lens BG] Starting SQL warehouse", warehouseId);
+}
+
+/**
+ * Bring the profile's warehouse to RUNNING, or pick a running fallback.
+ * Returns the warehouse ID statements should go to.
+ */
+async function prepareWarehouse(profile, signal) {
+  const path = `/${encodeURIComponent(profile.warehouseId)}`;
+  let warehouse = describeWarehouse(await warehousesApi(profile, path));
+  if (warehouse.state === "RUNNING") return warehouse.id;
+  if (warehouse.state === "DELETED" || warehouse.state === "DELETING") {
+    throw new Error(`SQL warehouse "${warehouse.name}" was deleted`);
+  }
+
+  if (profile.warehousePolicy === "fallback") {
+    const running = (await listWarehouses(profile)).find((w) => w.state === "RUNNING");
+    if (running) {
+      log.info(`[S3 Lens BG] Warehouse "${warehouse.name}" is ${warehouse.state}, using "${running.name}"`);
+      return running.id;
+    }
+  }
+
+  notifyLookupTabs({ action: "lookupStatus", status: "warehouse-starting", warehouse: warehouse.name });
+  const started = Date.now();
+  while (warehouse.state !== "RUNNING") {
+    if (warehouse.state === "STOPPED") await startWarehouse(profile, warehouse.id);
+    if (signal?.aborted) throw new Error("SQL cancelled: lookup abandoned");
+    if (Date.now() - started > WAREHOUSE_START_TIMEOUT_MS) {
+      throw new Error(`SQL warehouse "${warehouse.name}" did not start within 10 minutes`);
+    }
+    await sleep(WAREHOUSE_POLL_MS);
+    warehouse = describeWarehouse(await warehousesApi(profile, path));
+  }
+  notifyLookupTabs({ action: "lookupStatus", status: "warehouse-ready", warehouse: warehouse.name });
+  return warehouse.id;
+}
+
+/**
+ * Warehouse ID to run the profile's statements on, once it is running.
+ */
+async function readyWarehouseId(profile, signal) {
+  const ready = warehouseReady.get(profile.id);
+  if (
+    ready &&
+    ready.configured === profile.warehouseId &&
+    Date.now() - ready.checkedAt < WAREHOUSE_READY_TTL_MS
+  ) {
+    return ready.warehouseId;
+  }
+
+  if (!warehouseChecks.has(profile.id)) {
+    const controller = new AbortController();
+    const started = { controller, waiters: 0 };
+    started.promise = prepareWarehouse(profile, controller.signal).finally(() => {
+      if (warehouseChecks.get(profile.id) === started) warehouseChecks.delete(profile.id);
+    });
+    warehouseChecks.set(profile.id, started);
+  }
+  const check = warehouseChecks.get(profile.id);
+  check.waiters++;
+  let warehouseId;
+  try {
+    warehouseId = await untilAborted(check.promise, signal);
+  } finally {
+    // The last lookup to give up cancels the check, and a later lookup starts a fresh one
+    if (--check.waiters === 0) {
+      check.controller.abort();
+      if (warehouseChecks.get(profile.id) === check) warehouseChecks.delete(profile.id);
+    }
+  }
+  warehouseReady.set(profile.id, { configured: profile.warehouseId, warehouseId, checkedAt: Date.now() });
+  return warehouseId;
+}
+
+/**
+ * Run a statement and return the response with every result chunk merged
+ * into result.data_array.
+ *
+ * options.parameters maps named markers (":name" in the SQL) to a string
+ *   value, or to { value, type } for non-STRING parameters.
+ * options.signal aborts the statement (it is cancelled server-side).
+ * options.timeoutMs cancels the statement when it runs longer.
+ */
+async function executeSql(profile, sql, options = {}) {
+  if (options.signal?.aborted) throw new Error("SQL cancelled: lookup abandoned");
+
+  const warehouseId = await readyWarehouseId(profile, options.signal);
+  const trace = { profileId: profile.id, warehouseId, sql: sql.trim().substring(0, 300), statementId: null };
+  log.debug("[S3 Lens BG] Executing SQL:", trace.sql);
+  const started = Date.now();
+  try {
+    const data = await runStatement(profile, warehouseId, sql, options, trace);
+    const rows = data.result?.data_array?.length || 0;
+    logEvent("info", "sql", { ...trace, durationMs: Date.now() - started, rows });
+    return data;
+  } catch (err) {
+    logEvent("error", "sql", { ...trace, durationMs: Date.now() - started, error: err.message });
+    throw err;
+  }
+}
 
-  console.log("[S3 Lens BG] Executing SQL:", sql.trim().substring(0, 300));
+/**
+ * Submit, poll and page through one statement for executeSql. Records the
+ * statement ID in trace as soon as it is known.
+ */
+async function runStatement(profile, warehouseId, sql, options, trace) {
+  const { parameters = {}, signal, timeoutMs = SQL_TIMEOUT_MS } = options;
+  const url = `${profile.workspaceUrl.replace(/\/+$/, "")}/api/2.0/sql/statements`;
+  const started = Date.now();
 
-  const submitResp = await fetch(url, {
+  const submitResp = await fetchWithBackoff(url, {
     method: "POST",
     headers: {
-      Authorization: `Bearer ${patToken}`,
+      ...(await authHeaders(profile)),
       "Content-Type": "application/json",
     },
     body: JSON.stringify({
       warehouse_id: warehouseId,
       statement: sql,
-      wait_timeout: "30s",
+      parameters: Object.entries(parameters).map(([name, param]) =>
+        typeof param === "object" ? { name, ...param } : { name, value: param }
+      ),
+      wait_timeout: SQL_WAIT_TIMEOUT,
       disposition: "INLINE",
       format: "JSON_ARRAY",
     }),
@@ -65,291 +733,2805 @@ async function executeSql(workspaceUrl, patToken, warehouseId, sql) {
 
   if (!submitResp.ok) {
     const text = await submitResp.text();
-    console.error("[S3 Lens BG] SQL submit HTTP error:", submitResp.status, text);
+    log.error("[S3 Lens BG] SQL submit HTTP error:", submitResp.status, text);
     throw new Error(`SQL submit failed (${submitResp.status}): ${text}`);
   }
 
   let data = await submitResp.json();
-  console.log("[S3 Lens BG] SQL response state:", data.status?.state);
+  trace.statementId = data.statement_id;
+  log.debug("[S3 Lens BG] SQL response state:", data.status?.state);
 
-  // Poll if still running
-  while (data.status && (data.status.state === "PENDING" || data.status.state === "RUNNING")) {
-    await new Promise((r) => setTimeout(r, 1000));
-    const pollResp = await fetch(`${url}/${data.statement_id}`, {
-      headers: { Authorization: `Bearer ${patToken}` },
-    });
-    if (!pollResp.ok) {
-      const text = await pollResp.text();
-      throw new Error(`SQL poll failed (${pollResp.status}): ${text}`);
+  // Poll if still running; cancel when abandoned or past the timeout
+  try {
+    while (data.status && (data.status.state === "PENDING" || data.status.state === "RUNNING")) {
+      if (signal?.aborted) throw new Error("SQL cancelled: lookup abandoned");
+      if (Date.now() - started > timeoutMs) {
+        throw new Error(`SQL timed out after ${Math.round(timeoutMs / 1000)}s`);
+      }
+      await sleep(1000);
+      const pollResp = await fetchWithBackoff(`${url}/${data.statement_id}`, {
+        headers: await authHeaders(profile),
+      });
+      if (!pollResp.ok) {
+        const text = await pollResp.text();
+        throw new Error(`SQL poll failed (${pollResp.status}): ${text}`);
+      }
+      data = await pollResp.json();
+      log.debug("[S3 Lens BG] SQL poll state:", data.status?.state);
     }
-    data = await pollResp.json();
-    console.log("[S3 Lens BG] SQL poll state:", data.status?.state);
+  } catch (err) {
+    await cancelStatement(profile, data.statement_id);
+    throw err;
   }
 
-  if (data.status && data.status.state === "FAILED") {
+  if (data.status && (data.status.state === "FAILED" || data.status.state === "CANCELED")) {
     const errMsg = data.status.error?.message || JSON.stringify(data.status);
-    console.error("[S3 Lens BG] SQL FAILED:", errMsg);
+    log.error("[S3 Lens BG] SQL FAILED:", errMsg);
     throw new Error(`SQL failed: ${errMsg}`);
   }
 
+  // Follow the remaining result chunks
+  if (data.result) {
+    const rows = data.result.data_array || [];
+    let next = data.result.next_chunk_internal_link;
+    while (next) {
+      if (signal?.aborted) throw new Error("SQL cancelled: lookup abandoned");
+      const chunkResp = await fetchWithBackoff(
+        `${profile.workspaceUrl.replace(/\/+$/, "")}${next}`,
+        { headers: await authHeaders(profile) }
+      );
+      if (!chunkResp.ok) {
+        const text = await chunkResp.text();
+        throw new Error(`SQL result chunk failed (${chunkResp.status}): ${text}`);
+      }
+      const chunkData = await chunkResp.json();
+      rows.push(...(chunkData.data_array || []));
+      next = chunkData.next_chunk_internal_link;
+    }
+    data.result.data_array = rows;
+    delete data.result.next_chunk_internal_link;
+  }
+
   const rowCount = data.result?.data_array?.length || 0;
-  console.log("[S3 Lens BG] SQL succeeded, rows:", rowCount);
+  log.debug("[S3 Lens BG] SQL succeeded, rows:", rowCount, "in", Date.now() - started, "ms");
   return data;
 }
 
-// --------------- UUID Resolution ---------------
+// --------------- Unity Catalog REST API ---------------
+
+const containerListings = new Map(); // profileId -> { fetchedAt, entries }
+const modelListings = new Map(); // profileId -> { fetchedAt, entries }
+const schemaListings = new Map(); // "<profileId>:<catalog.schema>" -> { fetchedAt, entries }
+
+async function ucApiGet(profile, path, params = {}) {
+  const url = new URL(
+    `${profile.workspaceUrl.replace(/\/+$/, "")}/api/2.1/unity-catalog/${path}`
+  );
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value);
+  }
+
+  const resp = await fetchWithBackoff(url, {
+    headers: await authHeaders(profile),
+  });
+  if (!resp.ok) {
+    const text = await resp.text();
+    throw new Error(`Unity Catalog API ${path} failed (${resp.status}): ${text}`);
+  }
+  return resp.json();
+}
+
+/**
+ * GET a Unity Catalog list endpoint, following next_page_token until the
+ * listing is exhausted. Returns the concatenated items under itemsKey.
+ */
+async function ucListAll(profile, path, itemsKey, params = {}) {
+  const items = [];
+  let pageToken;
+  do {
+    const data = await ucApiGet(profile, path, { ...params, page_token: pageToken });
+    items.push(...(data[itemsKey] || []));
+    pageToken = data.next_page_token || undefined;
+  } while (pageToken);
+  return items;
+}
+
+/**
+ * Map an object's id and the UUID of the same type in its managed storage
+ * location to its name.
+ */
+function addContainer(entries, type, fullName, id, storageLocation) {
+  const uuids = new Set();
+  if (id) uuids.add(id.toLowerCase());
+  for (const parsed of parseStoragePath(storageLocation || "")) {
+    if (parsed.type === type) uuids.add(parsed.uuid);
+  }
+  for (const uuid of uuids) entries[uuid] = { type, fullName };
+}
+
+/**
+ * List every catalog and schema visible to the profile and map their ids
+ * (and the UUIDs in their managed storage locations) to names. This covers
+ * schemas and catalogs that hold no tables, which the table-based queries
+ * cannot see. The listing is kept in memory for INDEX_REFRESH_MS.
+ */
+async function listContainers(profile) {
+  const cachedListing = containerListings.get(profile.id);
+  if (cachedListing && Date.now() - cachedListing.fetchedAt < INDEX_REFRESH_MS) {
+    return cachedListing.entries;
+  }
+
+  const entries = {};
+  const catalogs = await ucListAll(profile, "catalogs", "catalogs", { max_results: 1000 });
+  for (const catalog of catalogs) {
+    addContainer(entries, "catalog", catalog.name, catalog.id, catalog.storage_location);
+
+    // Only managed catalogs can own __unitystorage paths
+    if (catalog.catalog_type && catalog.catalog_type !== "MANAGED_CATALOG") continue;
+    try {
+      const schemas = await ucListAll(profile, "schemas", "schemas", {
+        catalog_name: catalog.name,
+        max_results: 1000,
+      });
+      for (const schema of schemas) {
+        addContainer(entries, "schema", schema.full_name, schema.schema_id, schema.storage_location);
+      }
+    } catch (err) {
+      log.warn("[S3 Lens BG] Schema listing failed for catalog", catalog.name, ":", err.message);
+    }
+  }
+
+  log.debug(`[S3 Lens BG] Listed ${Object.keys(entries).length} catalogs and schemas [${profile.id}]`);
+  containerListings.set(profile.id, { fetchedAt: Date.now(), entries });
+  return entries;
+}
+
+/**
+ * List every registered model visible to the profile and map the model
+ * UUID in its storage location to its full name. Kept in memory for
+ * INDEX_REFRESH_MS.
+ */
+async function listModels(profile) {
+  const cachedListing = modelListings.get(profile.id);
+  if (cachedListing && Date.now() - cachedListing.fetchedAt < INDEX_REFRESH_MS) {
+    return cachedListing.entries;
+  }
+
+  const entries = {};
+  const models = await ucListAll(profile, "models", "registered_models", { max_results: 1000 });
+  for (const model of models) {
+    for (const { uuid, type } of parseStoragePath(model.storage_location || "")) {
+      if (type === "model") entries[uuid] = { type, fullName: model.full_name };
+    }
+  }
+
+  log.debug(`[S3 Lens BG] Listed ${Object.keys(entries).length} registered models [${profile.id}]`);
+  modelListings.set(profile.id, { fetchedAt: Date.now(), entries });
+  return entries;
+}
+
+/**
+ * List the tables and volumes of one schema and map the UUIDs in their
+ * storage locations (and their ids) to names. Kept in memory for
+ * INDEX_REFRESH_MS.
+ */
+async function listSchemaObjects(profile, schemaFullName) {
+  const key = `${profile.id}:${schemaFullName}`;
+  const cachedListing = schemaListings.get(key);
+  if (cachedListing && Date.now() - cachedListing.fetchedAt < INDEX_REFRESH_MS) {
+    return cachedListing.entries;
+  }
+
+  const [catalogName, schemaName] = schemaFullName.split(".");
+  const params = { catalog_name: catalogName, schema_name: schemaName, max_results: 1000 };
+  const entries = {};
+
+  const tables = await ucListAll(profile, "tables", "tables", {
+    ...params,
+    omit_columns: true,
+    omit_properties: true,
+  });
+  for (const table of tables) {
+    addContainer(entries, "table", table.full_name, table.table_id, table.storage_location);
+  }
+
+  const volumes = await ucListAll(profile, "volumes", "volumes", params);
+  for (const volume of volumes) {
+    if (volume.volume_type !== "MANAGED") continue;
+    addContainer(entries, "volume", volume.full_name, volume.volume_id, volume.storage_location);
+  }
+
+  schemaListings.set(key, { fetchedAt: Date.now(), entries });
+  return entries;
+}
+
+// --------------- UUID Resolution ---------------
+
+// Resolution backends, tried in order for the profile's backend setting.
+// Each takes (typedUuids, profile, signal) and returns { resolved, failed }:
+// resolved maps uuid -> { type, fullName }, failed lists the UUIDs whose
+// lookup errored (as opposed to ran and found nothing).
+const RESOLVERS = {
+  sql: resolveUuidsSql,
+  rest: resolveUuidsRest,
+};
+
+const BACKEND_CHAINS = {
+  sql: ["sql"],
+  rest: ["rest"],
+  "rest-sql": ["rest", "sql"],
+};
+
+function usesSqlWarehouse(profile) {
+  return (BACKEND_CHAINS[profile.backend] || BACKEND_CHAINS.sql).includes("sql");
+}
+
+/**
+ * Resolve typed UUIDs with the profile's backend. With "rest-sql", whatever
+ * the REST API can't resolve (or all of it, when the API fails) is handed
+ * to the SQL warehouse.
+ *
+ * Returns { results, notFound } where notFound lists the items the last
+ * backend searched for without error and didn't find.
+ */
+async function resolveUuids(typedUuids, profile, signal) {
+  const chain = BACKEND_CHAINS[profile.backend] || BACKEND_CHAINS.sql;
+  const results = {};
+  let pending = typedUuids;
+  let failed = new Set();
+
+  for (const [i, name] of chain.entries()) {
+    if (pending.length === 0) break;
+    try {
+      const { resolved, failed: backendFailed } = await RESOLVERS[name](pending, profile, signal);
+      Object.assign(results, resolved);
+      failed = new Set(backendFailed);
+    } catch (err) {
+      if (i === chain.length - 1) throw err;
+      log.warn(`[S3 Lens BG] ${name} backend failed, falling back:`, err.message);
+    }
+    pending = pending.filter((u) => !results[u.uuid]);
+  }
+
+  return { results, notFound: pending.filter((u) => !failed.has(u.uuid)) };
+}
+
+/**
+ * Resolve typed UUIDs using system.information_schema.tables.storage_path.
+ *
+ * Strategy:
+ * - Table UUIDs:   storage_sub_directory = 'tables/<uuid>'  -> exact match
+ * - Schema UUIDs:  Unity Catalog schemas API (schema_id / storage_location),
+ *                  falling back to storage_path LIKE '%/schemas/<uuid>/%'
+ * - Catalog UUIDs: Unity Catalog catalogs API (id / storage_location),
+ *                  falling back to storage_path LIKE '%/catalogs/<uuid>/%'
+ * - Volume UUIDs:  information_schema.volumes.storage_location -> exact match
+ * - Model UUIDs:   Unity Catalog models API (storage_location)
+ *
+ * Input: array of { uuid, type } where type is
+ *        "table"|"schema"|"catalog"|"volume"|"model"
+ * Returns: { resolved: uuid -> { type, fullName }, failed: uuid[] }
+ */
+async function resolveUuidsSql(typedUuids, config, signal) {
+  const results = {};
+  const failed = new Set();
+
+  if (typedUuids.length === 0) return { resolved: results, failed: [] };
+
+  // UUIDs are bound as parameters; still drop anything that isn't one
+  const validUuids = typedUuids.filter((u) => UUID_RE.test(u.uuid));
+  if (validUuids.length === 0) return { resolved: results, failed: [] };
+
+  log.debug("[S3 Lens BG] Resolving", validUuids.length, "typed UUIDs:", validUuids);
+
+  // Group by type
+  const tableUuids = validUuids.filter((u) => u.type === "table");
+  const schemaUuids = validUuids.filter((u) => u.type === "schema");
+  const catalogUuids = validUuids.filter((u) => u.type === "catalog");
+  const volumeUuids = validUuids.filter((u) => u.type === "volume");
+  const modelUuids = validUuids.filter((u) => u.type === "model");
+
+  // --- Resolve table UUIDs (bound parameters, bounded batches) ---
+  for (const batch of chunk(tableUuids, SQL_BATCH_SIZE)) {
+    const parameters = {};
+    batch.forEach((u, i) => {
+      parameters[`t${i}`] = `tables/${u.uuid}`;
+    });
+    const markers = Object.keys(parameters).map((name) => `:${name}`).join(", ");
+
+    try {
+      const sql = `
+        SELECT table_catalog, table_schema, table_name, storage_sub_directory
+        FROM system.information_schema.tables
+        WHERE storage_sub_directory IN (${markers})
+      `;
+      const result = await executeSql(config, sql, { parameters, signal });
+
+      if (result.result?.data_array) {
+        for (const row of result.result.data_array) {
+          const [catalog, schema, table, subDir] = row;
+          // Extract UUID from "tables/<uuid>"
+          const uuid = subDir.replace("tables/", "").toLowerCase();
+          results[uuid] = {
+            type: "table",
+            fullName: `${catalog}.${schema}.${table}`,
+          };
+        }
+      }
+      log.debug("[S3 Lens BG] Table UUIDs resolved:", Object.keys(results).length, "/", tableUuids.length);
+    } catch (err) {
+      log.error("[S3 Lens BG] Table lookup failed:", err.message);
+      for (const { uuid } of batch) failed.add(uuid);
+    }
+  }
+
+  // --- Resolve volume UUIDs (bound parameters, bounded batches) ---
+  for (const batch of chunk(volumeUuids, SQL_BATCH_SIZE)) {
+    const parameters = {};
+    batch.forEach((u, i) => {
+      parameters[`v${i}`] = u.uuid;
+    });
+    const markers = Object.keys(parameters).map((name) => `:${name}`).join(", ");
+
+    try {
+      const sql = `
+        SELECT volume_catalog, volume_schema, volume_name, storage_location
+        FROM system.information_schema.volumes
+        WHERE volume_type = 'MANAGED'
+          AND regexp_extract(storage_location, '/volumes/([0-9a-f-]{36})', 1) IN (${markers})
+      `;
+      const result = await executeSql(config, sql, { parameters, signal });
+      const entries = entriesFromRows(result.result?.data_array || []);
+      for (const { uuid } of batch) {
+        if (entries[uuid]) results[uuid] = entries[uuid];
+      }
+      log.debug("[S3 Lens BG] After volume resolution, total resolved:", Object.keys(results).length);
+    } catch (err) {
+      log.error("[S3 Lens BG] Volume lookup failed:", err.message);
+      for (const { uuid } of batch) failed.add(uuid);
+    }
+  }
+
+  // --- Resolve model UUIDs from the Unity Catalog API ---
+  if (modelUuids.length > 0) {
+    try {
+      const models = await listModels(config);
+      for (const { uuid } of modelUuids) {
+        if (models[uuid]) results[uuid] = models[uuid];
+      }
+    } catch (err) {
+      log.error("[S3 Lens BG] Model lookup failed:", err.message);
+      for (const { uuid } of modelUuids) failed.add(uuid);
+    }
+  }
+
+  // --- Resolve schema and catalog UUIDs from the Unity Catalog API ---
+  if (schemaUuids.length > 0 || catalogUuids.length > 0) {
+    try {
+      const containers = await listContainers(config);
+      for (const { uuid } of [...schemaUuids, ...catalogUuids]) {
+        if (containers[uuid]) results[uuid] = containers[uuid];
+      }
+    } catch (err) {
+      log.error("[S3 Lens BG] Catalog/schema listing failed, falling back to tables:", err.message);
+    }
+  }
+
+  // --- Resolve remaining schema UUIDs through their tables ---
+  // Each fallback scans information_schema.tables, so it's skipped for bare
+  // UUIDs, which are only guessed to be schemas or catalogs
+  const unresolvedSchemas = schemaUuids.filter((u) => !results[u.uuid] && !u.bare);
+  if (unresolvedSchemas.length > 0) {
+    for (const { uuid } of unresolvedSchemas) {
+      try {
+        const sql = `
+          SELECT DISTINCT table_catalog, table_schema
+          FROM system.information_schema.tables
+          WHERE storage_path LIKE :pattern
+          LIMIT 1
+        `;
+        const parameters = { pattern: `%/schemas/${uuid}/%` };
+        const result = await executeSql(config, sql, { parameters, signal });
+
+        if (result.result?.data_array?.length > 0) {
+          const [catalog, schema] = result.result.data_array[0];
+          results[uuid] = {
+            type: "schema",
+            fullName: `${catalog}.${schema}`,
+          };
+        }
+      } catch (err) {
+        log.error("[S3 Lens BG] Schema lookup failed for", uuid, ":", err.message);
+        failed.add(uuid);
+      }
+    }
+    log.debug("[S3 Lens BG] After schema resolution, total resolved:", Object.keys(results).length);
+  }
+
+  // --- Resolve remaining catalog UUIDs through their tables ---
+  const unresolvedCatalogs = catalogUuids.filter((u) => !results[u.uuid] && !u.bare);
+  if (unresolvedCatalogs.length > 0) {
+    for (const { uuid } of unresolvedCatalogs) {
+      try {
+        const sql = `
+          SELECT DISTINCT table_catalog
+          FROM system.information_schema.tables
+          WHERE storage_path LIKE :pattern
+          LIMIT 1
+        `;
+        const parameters = { pattern: `%/catalogs/${uuid}/%` };
+        const result = await executeSql(config, sql, { parameters, signal });
+
+        if (result.result?.data_array?.length > 0) {
+          const [catalog] = result.result.data_array[0];
+          results[uuid] = {
+            type: "catalog",
+            fullName: catalog,
+          };
+        }
+      } catch (err) {
+        log.error("[S3 Lens BG] Catalog lookup failed for", uuid, ":", err.message);
+        failed.add(uuid);
+      }
+    }
+    log.debug("[S3 Lens BG] After catalog resolution, total resolved:", Object.keys(results).length);
+  }
+
+  log.debug("[S3 Lens BG] Final resolved results:", results);
+  return { resolved: results, failed: [...failed] };
+}
+
+/**
+ * Resolve typed UUIDs through the Unity Catalog REST API only, so no SQL
+ * warehouse has to be running.
+ *
+ * Strategy:
+ * - Schema / catalog UUIDs: catalog and schema listing
+ * - Model UUIDs:            registered model listing
+ * - Table / volume UUIDs:   table and volume listing of the parent schema
+ *                           from the path, or of every schema in the parent
+ *                           catalog. Without a known parent the REST API
+ *                           has no way to find them short of listing the
+ *                           whole metastore, so they are reported as failed
+ *                           (left to the SQL backend with "rest-sql").
+ */
+async function resolveUuidsRest(typedUuids, profile) {
+  const results = {};
+  const validUuids = typedUuids.filter((u) => UUID_RE.test(u.uuid));
+  if (validUuids.length === 0) return { resolved: results, failed: [] };
+
+  const containers = await listContainers(profile);
+  for (const { uuid, type } of validUuids) {
+    if ((type === "schema" || type === "catalog") && containers[uuid]) {
+      results[uuid] = containers[uuid];
+    }
+  }
+
+  if (validUuids.some((u) => u.type === "model")) {
+    const models = await listModels(profile);
+    for (const { uuid, type } of validUuids) {
+      if (type === "model" && models[uuid]) results[uuid] = models[uuid];
+    }
+  }
+
+  const leaves = validUuids.filter((u) => u.type === "table" || u.type === "volume");
+  const schemaNames = new Set(
+    Object.values(containers)
+      .filter((c) => c.type === "schema")
+      .map((c) => c.fullName)
+  );
+  const toList = new Set();
+  const parentless = [];
+  for (const leaf of leaves) {
+    const container = leaf.parent && containers[leaf.parent.uuid];
+    if (!container) {
+      parentless.push(leaf.uuid);
+    } else if (container.type === "schema") {
+      toList.add(container.fullName);
+    } else {
+      for (const name of schemaNames) {
+        if (name.startsWith(`${container.fullName}.`)) toList.add(name);
+      }
+    }
+  }
+  if (parentless.length > 0) {
+    log.debug("[S3 Lens BG] REST can't place", parentless.length, "table/volume UUIDs without a known parent");
+  }
+
+  let listingFailed = false;
+  for (const schemaFullName of toList) {
+    if (leaves.every((u) => results[u.uuid] || parentless.includes(u.uuid))) break;
+    try {
+      const entries = await listSchemaObjects(profile, schemaFullName);
+      for (const { uuid } of leaves) {
+        if (entries[uuid]) results[uuid] = entries[uuid];
+      }
+    } catch (err) {
+      log.warn("[S3 Lens BG] Listing failed for schema", schemaFullName, ":", err.message);
+      listingFailed = true;
+    }
+  }
+
+  // A leaf could have lived in a schema whose listing failed
+  const failed = listingFailed ? leaves.filter((u) => !results[u.uuid]).map((u) => u.uuid) : [];
+  for (const uuid of parentless) if (!failed.includes(uuid)) failed.push(uuid);
+
+  log.debug("[S3 Lens BG] REST resolved:", Object.keys(results).length, "/", validUuids.length);
+  return { resolved: results, failed };
+}
+
+// --------------- Storage Path Index ---------------
+
+// In index mode a profile pulls every storage path from
+// information_schema.tables once, adds the catalog and schema listing from
+// the Unity Catalog API, keeps a local uuid -> name index for tables,
+// schemas and catalogs, and answers lookups from it without SQL.
+// The index is stored per profile under "storageIndex:<profileId>"; the
+// small per-profile stats live in "indexMeta" so the popup can show them
+// without loading every index.
+
+const indexBuilds = new Map(); // profileId -> in-flight refresh promise
+
+function indexStorageKey(profileId) {
+  return `storageIndex:${profileId}`;
+}
+
+async function loadIndex(profileId) {
+  const key = indexStorageKey(profileId);
+  const stored = await getStorage([key]);
+  return stored[key] || null;
+}
+
+function addRowsToIndex(index, rows) {
+  Object.assign(index.entries, entriesFromRows(rows));
+  for (const row of rows) {
+    const altered = Date.parse(row[4]); // last_altered
+    if (!Number.isNaN(altered) && altered > (index.lastAltered || 0)) {
+      index.lastAltered = altered;
+    }
+  }
+}
+
+/**
+ * Refresh a profile's index. Pulls only tables altered since the last
+ * refresh, unless the index is missing, older than INDEX_REBUILD_MS, or a
+ * full rebuild is requested.
+ */
+async function refreshIndex(profile, { full = false } = {}) {
+  const now = Date.now();
+  let index = await loadIndex(profile.id);
+  const rebuild = full || !index || now - index.builtAt > INDEX_REBUILD_MS;
+  if (rebuild) {
+    index = { builtAt: now, refreshedAt: now, lastAltered: null, entries: {} };
+  }
+
+  let sql = `
+    SELECT table_catalog, table_schema, table_name, storage_path, last_altered
+    FROM system.information_schema.tables
+    WHERE contains(storage_path, '/__unitystorage/')
+  `;
+  const parameters = {};
+  if (!rebuild && index.lastAltered) {
+    sql += " AND last_altered > :since";
+    parameters.since = { value: new Date(index.lastAltered).toISOString(), type: "TIMESTAMP" };
+  }
+
+  const result = await executeSql(profile, sql, { parameters });
+  const rows = result.result?.data_array || [];
+  addRowsToIndex(index, rows);
+
+  // Managed volumes are few, so they are re-read in full on every refresh
+  try {
+    const volumes = await executeSql(profile, `
+      SELECT volume_catalog, volume_schema, volume_name, storage_location
+      FROM system.information_schema.volumes
+      WHERE volume_type = 'MANAGED'
+    `);
+    Object.assign(index.entries, entriesFromRows(volumes.result?.data_array || []));
+  } catch (err) {
+    log.warn("[S3 Lens BG] Volume listing failed during index refresh:", err.message);
+  }
+
+  // Catalogs and schemas without tables, and registered models, only show
+  // up in the API listings
+  try {
+    Object.assign(index.entries, await listContainers(profile));
+    Object.assign(index.entries, await listModels(profile));
+  } catch (err) {
+    log.warn("[S3 Lens BG] Unity Catalog listing failed during index refresh:", err.message);
+  }
+  index.refreshedAt = now;
+
+  const { indexMeta } = await getConfig();
+  indexMeta[profile.id] = {
+    size: Object.keys(index.entries).length,
+    builtAt: index.builtAt,
+    refreshedAt: index.refreshedAt,
+  };
+  await setStorage({ [indexStorageKey(profile.id)]: index, indexMeta });
+
+  log.info(
+    `[S3 Lens BG] Index [${profile.id}] ${rebuild ? "rebuilt" : "refreshed"}:`,
+    rows.length, "rows,", indexMeta[profile.id].size, "entries"
+  );
+  return index;
+}
+
+/**
+ * Return a profile's index, refreshing it first when it is stale. Only one
+ * refresh per profile runs at a time; a failed refresh falls back to the
+ * stale index when there is one.
+ */
+async function getIndex(profile) {
+  const index = await loadIndex(profile.id);
+  const now = Date.now();
+  if (
+    index &&
+    now - index.refreshedAt < INDEX_REFRESH_MS &&
+    now - index.builtAt < INDEX_REBUILD_MS
+  ) {
+    return index;
+  }
+
+  if (!indexBuilds.has(profile.id)) {
+    indexBuilds.set(
+      profile.id,
+      refreshIndex(profile).finally(() => indexBuilds.delete(profile.id))
+    );
+  }
+
+  try {
+    return await indexBuilds.get(profile.id);
+  } catch (err) {
+    if (!index) throw err;
+    log.warn("[S3 Lens BG] Index refresh failed, using stale index:", err.message);
+    return index;
+  }
+}
+
+async function resolveFromIndex(typedUuids, profile) {
+  const index = await getIndex(profile);
+  const results = {};
+  for (const { uuid } of typedUuids) {
+    const entry = index.entries[uuid];
+    if (entry) results[uuid] = entry;
+  }
+  log.debug(
+    `[S3 Lens BG] Index [${profile.id}]:`, Object.keys(results).length, "/", typedUuids.length, "resolved"
+  );
+  return { results, notFound: typedUuids.filter((u) => !results[u.uuid]) };
+}
+
+// --------------- External Storage ---------------
+
+// External tables, external volumes and external locations live under
+// plain S3 prefixes rather than __unitystorage. Each profile keeps a list of
+// their storage paths in "externalIndex:<profileId>" and Storage Lens
+// prefixes are matched against it by longest prefix, so _delta_log and
+// partition folders under a table directory get the owning table's badge.
+
+const externalIndexBuilds = new Map(); // profileId -> in-flight refresh promise
+
+function externalIndexStorageKey(profileId) {
+  return `externalIndex:${profileId}`;
+}
+
+/**
+ * Normalize an S3 URL or Storage Lens prefix to "bucket/key/prefix":
+ * no scheme, no trailing slash.
+ */
+function normalizeS3Path(path) {
+  return path.trim().replace(/^s3a?:\/\//i, "").replace(/\/+$/, "");
+}
+
+async function refreshExternalIndex(profile) {
+  const entries = [];
+  const sources = [
+    {
+      type: "external_table",
+      sql: `
+        SELECT table_catalog, table_schema, table_name, storage_path
+        FROM system.information_schema.tables
+        WHERE table_type = 'EXTERNAL' AND storage_path IS NOT NULL
+      `,
+    },
+    {
+      type: "external_volume",
+      sql: `
+        SELECT volume_catalog, volume_schema, volume_name, storage_location
+        FROM system.information_schema.volumes
+        WHERE volume_type = 'EXTERNAL' AND storage_location IS NOT NULL
+      `,
+    },
+    {
+      type: "external_location",
+      sql: `
+        SELECT external_location_name, url
+        FROM system.information_schema.external_locations
+        WHERE url IS NOT NULL
+      `,
+    },
+  ];
+
+  const addRows = (type, rows) => {
+    for (const row of rows) {
+      const fullName = type === "external_location" ? row[0] : row.slice(0, 3).join(".");
+      const url = row[row.length - 1];
+      if (/^s3a?:\/\//i.test(url)) {
+        entries.push({ path: normalizeS3Path(url), type, fullName });
+      }
+    }
+  };
+
+  // Without a SQL warehouse only external locations can be listed cheaply;
+  // external tables and volumes would need a listing of every schema.
+  const loaders = usesSqlWarehouse(profile)
+    ? sources.map(({ type, sql }) => ({
+        type,
+        load: async () => (await executeSql(profile, sql)).result?.data_array || [],
+      }))
+    : [
+        {
+          type: "external_location",
+          load: async () => {
+            const locations = await ucListAll(profile, "external-locations", "external_locations", {
+              max_results: 1000,
+            });
+            return locations.map((l) => [l.name, l.url]);
+          },
+        },
+      ];
+
+  const failures = [];
+  for (const { type, load } of loaders) {
+    try {
+      addRows(type, await load());
+    } catch (err) {
+      log.warn(`[S3 Lens BG] ${type} listing failed:`, err.message);
+      failures.push({ type, err });
+    }
+  }
+
+  // Nothing loaded: keep the stored index rather than overwrite it with an
+  // empty one; getExternalIndex falls back to it
+  if (failures.length === loaders.length) throw failures[0].err;
+
+  // A source that failed keeps its entries from the previous index
+  if (failures.length > 0) {
+    const key = externalIndexStorageKey(profile.id);
+    const previous = (await getStorage([key]))[key];
+    const failedTypes = failures.map((f) => f.type);
+    entries.push(...(previous?.entries || []).filter((e) => failedTypes.includes(e.type)));
+  }
+
+  // Longest path first, so the first match is the most specific one
+  entries.sort((a, b) => b.path.length - a.path.length);
+  const index = { fetchedAt: Date.now(), entries };
+  await setStorage({ [externalIndexStorageKey(profile.id)]: index });
+
+  log.info(`[S3 Lens BG] External index [${profile.id}]:`, entries.length, "paths");
+  return index;
+}
+
+/**
+ * Whether plain prefixes are matched against a profile's external storage.
+ * Profiles saved before the setting existed keep matching if they already
+ * have an external index.
+ */
+async function externalPathsEnabled(profile) {
+  if (profile.externalPaths !== null) return !!profile.externalPaths;
+  const key = externalIndexStorageKey(profile.id);
+  return !!(await getStorage([key]))[key];
+}
+
+/**
+ * Return a profile's external path index, reloading it when older than
+ * INDEX_REFRESH_MS. A failed reload falls back to the stale index.
+ */
+async function getExternalIndex(profile) {
+  const key = externalIndexStorageKey(profile.id);
+  const index = (await getStorage([key]))[key] || null;
+  if (index && Date.now() - index.fetchedAt < INDEX_REFRESH_MS) return index;
+
+  if (!externalIndexBuilds.has(profile.id)) {
+    externalIndexBuilds.set(
+      profile.id,
+      refreshExternalIndex(profile).finally(() => externalIndexBuilds.delete(profile.id))
+    );
+  }
+
+  try {
+    return await externalIndexBuilds.get(profile.id);
+  } catch (err) {
+    if (!index) throw err;
+    log.warn("[S3 Lens BG] External index refresh failed, using stale index:", err.message);
+    return index;
+  }
+}
+
+/**
+ * Longest-prefix match of a normalized path against an external index.
+ * Returns { type, fullName, exact, matchedLength } or null.
+ */
+function matchExternalPath(index, path) {
+  for (const entry of index.entries) {
+    if (path === entry.path || path.startsWith(`${entry.path}/`)) {
+      return {
+        type: entry.type,
+        fullName: entry.fullName,
+        exact: path === entry.path,
+        matchedLength: entry.path.length,
+      };
+    }
+  }
+  return null;
+}
+
+// --------------- Object Details ---------------
+
+// Metadata for the badge hover card comes from the Unity Catalog REST API,
+// so hovering never has to start a SQL warehouse. Details are cached in
+// "detailsCache" under "<profileId>:<type>:<fullName>".
+
+const DETAILS_ENDPOINTS = {
+  table: "tables",
+  external_table: "tables",
+  schema: "schemas",
+  catalog: "catalogs",
+  volume: "volumes",
+  external_volume: "volumes",
+  model: "models",
+  external_location: "external-locations",
+};
+
+/**
+ * Catalog Explorer URL of an object, or null for types it has no page for.
+ */
+function exploreUrl(profile, type, fullName) {
+  const path = fullName.split(".").map(encodeURIComponent).join("/");
+  const base = `${profile.workspaceUrl.replace(/\/+$/, "")}/explore/data`;
+  switch (type) {
+    case "table":
+    case "external_table":
+    case "schema":
+    case "catalog":
+      return `${base}/${path}`;
+    case "volume":
+    case "external_volume":
+      return `${base}/volumes/${path}`;
+    case "model":
+      return `${base}/models/${path}`;
+    default:
+      return null;
+  }
+}
+
+async function getObjectDetails(profile, type, fullName) {
+  const endpoint = DETAILS_ENDPOINTS[type];
+  if (!endpoint) throw new Error(`No details for type: ${type}`);
+
+  const key = `${profile.id}:${type}:${fullName}`;
+  const cached = (await readTtlCache("detailsCache", CACHE_TTL_MS, [key]))[key];
+  if (cached) return cached;
+
+  const data = await ucApiGet(profile, `${endpoint}/${encodeURIComponent(fullName)}`);
+  const details = {
+    objectType: data.table_type || data.volume_type || data.catalog_type || null,
+    dataSourceFormat: data.data_source_format || null,
+    owner: data.owner || null,
+    createdAt: data.created_at || null,
+    updatedAt: data.updated_at || null,
+    comment: data.comment || null,
+    url: data.url || null,
+  };
+
+  await writeTtlCache("detailsCache", CACHE_TTL_MS, { [key]: details });
+  return details;
+}
+
+// --------------- Freshness ---------------
+
+// Optional last read / last write of resolved tables, taken from the
+// system.access.table_lineage system table, to spot prefixes nobody uses
+// any more. Lineage only goes back a year, so a table without events in
+// that window has no known access. Results are cached in "freshnessCache"
+// under "<profileId>:<fullName>"; what counts as cold is decided by the
+// content script from freshnessSettings.coldDays.
+
+const FRESHNESS_DEFAULTS = { enabled: false, coldDays: 90 };
+const FRESHNESS_TTL_MS = 6 * 60 * 60 * 1000;
+const LINEAGE_LOOKBACK_DAYS = 365;
+
+function freshnessSettingsWithDefaults(settings = {}) {
+  return {
+    enabled: !!settings.enabled,
+    coldDays: settings.coldDays > 0 ? Math.round(settings.coldDays) : FRESHNESS_DEFAULTS.coldDays,
+  };
+}
+
+/**
+ * Latest lineage read and write of each table, as epoch milliseconds.
+ * Returns fullName -> { lastRead, lastWrite } for tables with any event.
+ */
+async function queryTableFreshness(profile, fullNames) {
+  const freshness = {};
+  for (const batch of chunk(fullNames, SQL_BATCH_SIZE)) {
+    const parameters = {};
+    batch.forEach((name, i) => {
+      parameters[`n${i}`] = name;
+    });
+    const markers = Object.keys(parameters).map((name) => `:${name}`).join(", ");
+    const sql = `
+      SELECT full_name, unix_millis(max(read_at)), unix_millis(max(write_at))
+      FROM (
+        SELECT source_table_full_name AS full_name, event_time AS read_at, CAST(NULL AS TIMESTAMP) AS write_at
+        FROM system.access.table_lineage
+        WHERE event_date >= date_sub(current_date(), ${LINEAGE_LOOKBACK_DAYS})
+          AND source_table_full_name IN (${markers})
+        UNION ALL
+        SELECT target_table_full_name, CAST(NULL AS TIMESTAMP), event_time
+        FROM system.access.table_lineage
+        WHERE event_date >= date_sub(current_date(), ${LINEAGE_LOOKBACK_DAYS})
+          AND target_table_full_name IN (${markers})
+      )
+      GROUP BY full_name
+    `;
+    const result = await executeSql(profile, sql, { parameters });
+    for (const [name, lastRead, lastWrite] of result.result?.data_array || []) {
+      freshness[name] = {
+        lastRead: lastRead ? Number(lastRead) : null,
+        lastWrite: lastWrite ? Number(lastWrite) : null,
+      };
+    }
+  }
+  return freshness;
+}
+
+/**
+ * Freshness of tables given as [{ profileId, fullName }], from the cache or
+ * the profile's SQL warehouse. Tables without lineage events in the lookback
+ * window get nulls.
+ *
+ * Returns { freshness, lookbackDays, error } where freshness is
+ * "<profileId>:<fullName>" -> { lastRead, lastWrite }.
+ */
+async function getFreshness(tables, config) {
+  const keys = tables.map(({ profileId, fullName }) => `${profileId}:${fullName}`);
+  const freshness = await readTtlCache("freshnessCache", FRESHNESS_TTL_MS, keys);
+  const fetched = {};
+  const errors = new Set();
+  const byProfile = new Map(); // profileId -> full names to query
+
+  for (const { profileId, fullName } of tables) {
+    if (freshness[`${profileId}:${fullName}`]) continue;
+    if (!byProfile.has(profileId)) byProfile.set(profileId, new Set());
+    byProfile.get(profileId).add(fullName);
+  }
+
+  for (const [profileId, names] of byProfile) {
+    const profile = config.profiles.find((p) => p.id === profileId);
+    if (!profile) continue;
+    let missing = credentialsError(profile);
+    if (!missing && !usesSqlWarehouse(profile)) missing = "Table freshness needs a SQL warehouse backend";
+    if (missing) {
+      errors.add(config.profiles.length > 1 ? `${profile.name}: ${missing}` : missing);
+      continue;
+    }
+
+    const started = Date.now();
+    try {
+      const found = await queryTableFreshness(profile, [...names]);
+      for (const name of names) {
+        const data = found[name] || { lastRead: null, lastWrite: null };
+        freshness[`${profileId}:${name}`] = data;
+        fetched[`${profileId}:${name}`] = data;
+      }
+      logEvent("info", "freshness", { profileId, tables: names.size, durationMs: Date.now() - started });
+    } catch (err) {
+      log.error("[S3 Lens BG] Freshness query failed for profile", profile.name, ":", err.message);
+      logEvent("error", "freshness", { profileId, tables: names.size, error: err.message });
+      errors.add(config.profiles.length > 1 ? `${profile.name}: ${err.message}` : err.message);
+    }
+  }
+
+  if (Object.keys(fetched).length > 0) await writeTtlCache("freshnessCache", FRESHNESS_TTL_MS, fetched);
+
+  return {
+    freshness,
+    lookbackDays: LINEAGE_LOOKBACK_DAYS,
+    error: errors.size > 0 ? [...errors].join("; ") : undefined,
+  };
+}
+
+// --------------- Governance ---------------
+
+// Optional owners and tags of resolved catalogs, schemas and tables, for
+// charging storage back to teams. Each object's own owner and tags are read
+// from information_schema and cached in "governanceCache" under
+// "<profileId>:<level>:<fullName>". A table's effective tags are its
+// catalog's, overridden by its schema's, overridden by its own.
+
+const GOVERNANCE_DEFAULTS = { enabled: false, chipTagKeys: ["cost_center", "team"], colorTagKey: "" };
+const GOVERNANCE_TTL_MS = 6 * 60 * 60 * 1000;
+
+// information_schema views per level: the object listing with its owner
+// column, and the tag view joined to it on the name columns
+const GOVERNANCE_LEVELS = {
+  catalog: {
+    objects: "catalogs",
+    owner: "catalog_owner",
+    nameColumns: ["catalog_name"],
+    tags: "catalog_tags",
+    tagNameColumns: ["catalog_name"],
+  },
+  schema: {
+    objects: "schemata",
+    owner: "schema_owner",
+    nameColumns: ["catalog_name", "schema_name"],
+    tags: "schema_tags",
+    tagNameColumns: ["catalog_name", "schema_name"],
+  },
+  table: {
+    objects: "tables",
+    owner: "table_owner",
+    nameColumns: ["table_catalog", "table_schema", "table_name"],
+    tags: "table_tags",
+    tagNameColumns: ["catalog_name", "schema_name", "table_name"],
+  },
+};
+const GOVERNANCE_LEVEL_ORDER = Object.keys(GOVERNANCE_LEVELS); // parent before child
+const GOVERNANCE_TYPES = { catalog: "catalog", schema: "schema", table: "table", external_table: "table" };
+
+function governanceSettingsWithDefaults(settings = {}) {
+  const keys = Array.isArray(settings.chipTagKeys) ? settings.chipTagKeys : GOVERNANCE_DEFAULTS.chipTagKeys;
+  return {
+    enabled: !!settings.enabled,
+    chipTagKeys: [...new Set(keys.map((k) => String(k).trim()).filter(Boolean))],
+    colorTagKey: (settings.colorTagKey || "").trim(),
+  };
+}
+
+/**
+ * Own owner and tags of objects of one level, by full name.
+ * Returns fullName -> { owner, tags: { key: value } } for objects found.
+ */
+async function queryGovernance(profile, level, fullNames) {
+  const spec = GOVERNANCE_LEVELS[level];
+  const nameOf = (alias, columns) => `concat_ws('.', ${columns.map((c) => `${alias}.${c}`).join(", ")})`;
+  const join = spec.nameColumns.map((c, i) => `g.${spec.tagNameColumns[i]} = o.${c}`).join(" AND ");
+  const objects = {};
+
+  for (const batch of chunk(fullNames, SQL_BATCH_SIZE)) {
+    const parameters = {};
+    batch.forEach((name, i) => {
+      parameters[`n${i}`] = name;
+    });
+    const markers = Object.keys(parameters).map((name) => `:${name}`).join(", ");
+    const sql = `
+      SELECT ${nameOf("o", spec.nameColumns)}, o.${spec.owner}, g.tag_name, g.tag_value
+      FROM system.information_schema.${spec.objects} o
+      LEFT JOIN system.information_schema.${spec.tags} g ON ${join}
+      WHERE ${nameOf("o", spec.nameColumns)} IN (${markers})
+    `;
+    const result = await executeSql(profile, sql, { parameters });
+    for (const [name, owner, tagName, tagValue] of result.result?.data_array || []) {
+      if (!objects[name]) objects[name] = { owner: owner || null, tags: {} };
+      if (tagName) objects[name].tags[tagName] = tagValue ?? "";
+    }
+  }
+  return objects;
+}
+
+/**
+ * Owner and effective tags of objects given as [{ profileId, type,
+ * fullName }], from the cache or the profile's SQL warehouse.
+ *
+ * Returns { governance, error } where governance is
+ * "<profileId>:<fullName>" -> { owner, tags } and tags is
+ * key -> { value, from }, from being the object that set the tag.
+ */
+async function getGovernance(objects, config) {
+  const errors = new Set();
+  const cacheKeyOf = (profileId, level, name) => `${profileId}:${level}:${name}`;
+
+  const chains = []; // { profileId, fullName, chain: [[level, name], ...] } from catalog down
+  for (const { profileId, type, fullName } of objects) {
+    const level = GOVERNANCE_TYPES[type];
+    if (!level) continue;
+    const parts = fullName.split(".");
+    const chain = GOVERNANCE_LEVEL_ORDER.slice(0, GOVERNANCE_LEVEL_ORDER.indexOf(level) + 1).map((l, i) => [
+      l,
+      parts.slice(0, i + 1).join("."),
+    ]);
+    chains.push({ profileId, fullName, chain });
+  }
+
+  const keys = chains.flatMap(({ profileId, chain }) => chain.map(([l, name]) => cacheKeyOf(profileId, l, name)));
+  const own = await readTtlCache("governanceCache", GOVERNANCE_TTL_MS, keys); // cache key -> { owner, tags }
+  const fetched = {};
+
+  // Every object and its parents not cached, per profile and level
+  const wanted = new Map(); // profileId -> { level -> Set<fullName> }
+  for (const { profileId, chain } of chains) {
+    if (!wanted.has(profileId)) {
+      wanted.set(profileId, Object.fromEntries(GOVERNANCE_LEVEL_ORDER.map((l) => [l, new Set()])));
+    }
+    for (const [l, name] of chain) {
+      if (!own[cacheKeyOf(profileId, l, name)]) wanted.get(profileId)[l].add(name);
+    }
+  }
+
+  for (const [profileId, levels] of wanted) {
+    const profile = config.profiles.find((p) => p.id === profileId);
+    if (!profile || Object.values(levels).every((names) => names.size === 0)) continue;
+    let missing = credentialsError(profile);
+    if (!missing && !usesSqlWarehouse(profile)) missing = "Owners and tags need a SQL warehouse backend";
+    if (missing) {
+      errors.add(config.profiles.length > 1 ? `${profile.name}: ${missing}` : missing);
+      continue;
+    }
+
+    const started = Date.now();
+    try {
+      for (const [level, names] of Object.entries(levels)) {
+        if (names.size === 0) continue;
+        const found = await queryGovernance(profile, level, [...names]);
+        for (const name of names) {
+          const data = found[name] || { owner: null, tags: {} };
+          own[cacheKeyOf(profileId, level, name)] = data;
+          fetched[cacheKeyOf(profileId, level, name)] = data;
+        }
+      }
+      logEvent("info", "governance", { profileId, durationMs: Date.now() - started });
+    } catch (err) {
+      log.error("[S3 Lens BG] Governance query failed for profile", profile.name, ":", err.message);
+      logEvent("error", "governance", { profileId, error: err.message });
+      errors.add(config.profiles.length > 1 ? `${profile.name}: ${err.message}` : err.message);
+    }
+  }
+
+  const governance = {};
+  for (const { profileId, fullName, chain } of chains) {
+    const levels = chain.map(([level, name]) => own[cacheKeyOf(profileId, level, name)]);
+    if (levels.some((data) => !data)) continue; // a level failed to load
+    const tags = {};
+    chain.forEach(([, name], i) => {
+      for (const [key, value] of Object.entries(levels[i].tags)) tags[key] = { value, from: name };
+    });
+    governance[`${profileId}:${fullName}`] = { owner: levels[levels.length - 1].owner, tags };
+  }
+
+  if (Object.keys(fetched).length > 0) await writeTtlCache("governanceCache", GOVERNANCE_TTL_MS, fetched);
+
+  return { governance, error: errors.size > 0 ? [...errors].join("; ") : undefined };
+}
+
+// --------------- Cache Management ---------------
+
+// Resolved UUIDs are cached in IndexedDB, one record per entry:
+//   { key: "<profileId>:<uuid>", profileId, uuid, type, data, cachedAt, lastUsed }
+// Keys include the profile so the same UUID resolved in different
+// metastores never shares an entry. Entries expire after a per-type TTL,
+// expired entries are pruned by a periodic alarm, and the least recently
+// used entries are evicted once the cache grows past maxEntries.
+
+const CACHE_DB_NAME = "s3-lens";
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = "uuidCache";
+const CACHE_PRUNE_ALARM = "pruneCache";
+const CACHE_PRUNE_MINUTES = 60;
+
+const CACHE_SETTINGS_DEFAULTS = {
+  // Tables and volumes are renamed and recreated more often than catalogs
+  ttlHours: { table: 24, volume: 24, model: 24, schema: 168, catalog: 168 },
+  maxEntries: 50000,
+};
+
+let cacheDbPromise = null;
+
+function cacheSettingsWithDefaults(settings = {}) {
+  return {
+    ttlHours: { ...CACHE_SETTINGS_DEFAULTS.ttlHours, ...settings.ttlHours },
+    maxEntries: settings.maxEntries || CACHE_SETTINGS_DEFAULTS.maxEntries,
+  };
+}
+
+function cacheKey(profileId, uuid) {
+  return `${profileId}:${uuid.toLowerCase()}`;
+}
+
+function isStale(entry, settings, now = Date.now()) {
+  const hours = settings.ttlHours[entry.type] ?? CACHE_SETTINGS_DEFAULTS.ttlHours.table;
+  return now - entry.cachedAt >= hours * 60 * 60 * 1000;
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Cache transaction aborted"));
+  });
+}
+
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(CACHE_STORE, { keyPath: "key" });
+      store.createIndex("lastUsed", "lastUsed");
+      store.createIndex("profileId", "profileId");
+    };
+    cacheDbPromise = idbRequest(request).then(async (db) => {
+      await migrateLegacyCache(db);
+      return db;
+    });
+    cacheDbPromise.catch(() => (cacheDbPromise = null));
+  }
+  return cacheDbPromise;
+}
+
+/**
+ * Run fn(store) in one transaction and wait for it to commit. Returns
+ * whatever fn returned (typically an object its request callbacks fill in).
+ */
+async function withCacheStore(mode, fn) {
+  const db = await openCacheDb();
+  const tx = db.transaction(CACHE_STORE, mode);
+  const result = fn(tx.objectStore(CACHE_STORE));
+  await idbTransactionDone(tx);
+  return result;
+}
+
+/**
+ * Walk a store or index cursor, calling visit(cursor) for each record in
+ * range until it returns false. Must run inside an open transaction.
+ */
+function walkCursor(source, visit, range = null) {
+  const request = source.openCursor(range);
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor && visit(cursor) !== false) cursor.continue();
+  };
+}
+
+/**
+ * The cache used to be one "uuidCache" object in chrome.storage.local that
+ * was rewritten on every lookup. Move its entries into IndexedDB once.
+ */
+async function migrateLegacyCache(db) {
+  const { uuidCache } = await getStorage(["uuidCache"]);
+  if (!uuidCache) return;
+
+  const tx = db.transaction(CACHE_STORE, "readwrite");
+  const store = tx.objectStore(CACHE_STORE);
+  for (const [legacyKey, { data, cachedAt }] of Object.entries(uuidCache)) {
+    // Keys from before workspace profiles are bare UUIDs of the single
+    // workspace, which lives on as the legacy profile
+    const split = legacyKey.lastIndexOf(":");
+    const profileId = split === -1 ? LEGACY_PROFILE_ID : legacyKey.slice(0, split);
+    const uuid = legacyKey.slice(split + 1).toLowerCase();
+    store.put({
+      key: cacheKey(profileId, uuid),
+      profileId,
+      uuid,
+      type: data.type,
+      data,
+      cachedAt,
+      lastUsed: cachedAt,
+    });
+  }
+  await idbTransactionDone(tx);
+  await removeStorage(["uuidCache"]);
+  log.info(`[S3 Lens BG] Migrated ${Object.keys(uuidCache).length} cache entries to IndexedDB`);
+}
+
+/**
+ * Split typed UUIDs into fresh cache hits and misses for one profile.
+ * Hits are marked as used for LRU eviction.
+ */
+async function getCachedResults(typedUuids, profileId, settings) {
+  const cached = {};
+  const uncached = [];
+  const now = Date.now();
+
+  const entries = await withCacheStore("readwrite", (store) => {
+    const found = new Map();
+    for (const item of typedUuids) {
+      store.get(cacheKey(profileId, item.uuid)).onsuccess = (event) => {
+        const entry = event.target.result;
+        if (!entry || isStale(entry, settings, now)) return;
+        entry.lastUsed = now;
+        store.put(entry);
+        found.set(item.uuid, entry);
+      };
+    }
+    return found;
+  });
+
+  for (const item of typedUuids) {
+    const entry = entries.get(item.uuid);
+    if (entry) cached[item.uuid.toLowerCase()] = entry.data;
+    else uncached.push(item);
+  }
+
+  log.debug(
+    `[S3 Lens BG] Cache [${profileId}]: ${Object.keys(cached).length} hit, ${uncached.length} miss`
+  );
+  return { cached, uncached };
+}
+
+/**
+ * Store freshly resolved UUIDs for a profile, then evict the least recently
+ * used entries if that pushed the cache past its cap.
+ */
+async function putCachedResults(profileId, results, settings) {
+  const now = Date.now();
+  await withCacheStore("readwrite", (store) => {
+    for (const [uuid, data] of Object.entries(results)) {
+      store.put({
+        key: cacheKey(profileId, uuid),
+        profileId,
+        uuid,
+        type: data.type,
+        data,
+        cachedAt: now,
+        lastUsed: now,
+      });
+    }
+  });
+  await evictOverflow(settings);
+}
+
+async function evictOverflow(settings) {
+  const size = await withCacheStore("readonly", (store) => idbRequest(store.count()));
+  const excess = size - settings.maxEntries;
+  if (excess <= 0) return 0;
+
+  await withCacheStore("readwrite", (store) => {
+    let evicted = 0;
+    walkCursor(store.index("lastUsed"), (cursor) => {
+      cursor.delete();
+      return ++evicted < excess;
+    });
+  });
+  log.info(`[S3 Lens BG] Evicted ${excess} least recently used cache entries`);
+  return excess;
+}
+
+/**
+ * Drop expired entries and enforce the size cap. Runs from an alarm.
+ */
+async function pruneCache() {
+  const { cacheSettings } = await getConfig();
+  const now = Date.now();
+  const result = await withCacheStore("readwrite", (store) => {
+    const counts = { expired: 0 };
+    walkCursor(store, (cursor) => {
+      if (isStale(cursor.value, cacheSettings, now)) {
+        cursor.delete();
+        counts.expired++;
+      }
+    });
+    return counts;
+  });
+  const evicted = await evictOverflow(cacheSettings);
+  await setStorage({ cachePrunedAt: now });
+  log.info(`[S3 Lens BG] Pruned cache: ${result.expired} expired, ${evicted} evicted`);
+}
+
+async function deleteCachedResults(profileId) {
+  await withCacheStore("readwrite", (store) => {
+    walkCursor(store.index("profileId"), (cursor) => cursor.delete(), IDBKeyRange.only(profileId));
+  });
+}
+
+async function clearCachedResults() {
+  await withCacheStore("readwrite", (store) => store.clear());
+}
+
+/**
+ * Entry count, stale count and per-type counts for the popup.
+ */
+async function getCacheInfo() {
+  const { cacheSettings, cacheStats, cacheUpdatedAt } = await getConfig();
+  const { cachePrunedAt = null } = await getStorage(["cachePrunedAt"]);
+  const now = Date.now();
+  const counts = await withCacheStore("readonly", (store) => {
+    const c = { size: 0, stale: 0, byType: {} };
+    walkCursor(store, (cursor) => {
+      const entry = cursor.value;
+      c.size++;
+      c.byType[entry.type] = (c.byType[entry.type] || 0) + 1;
+      if (isStale(entry, cacheSettings, now)) c.stale++;
+    });
+    return c;
+  });
+  return { ...counts, settings: cacheSettings, stats: cacheStats, updatedAt: cacheUpdatedAt, prunedAt: cachePrunedAt };
+}
+
+/**
+ * Cache entries whose UUID or name contains query, or only the stale ones.
+ */
+async function listCacheEntries({ query = "", staleOnly = false, limit = 50 }) {
+  const { cacheSettings } = await getConfig();
+  const needle = query.trim().toLowerCase();
+  const now = Date.now();
+  return withCacheStore("readonly", (store) => {
+    const entries = [];
+    walkCursor(store, (cursor) => {
+      const entry = cursor.value;
+      const stale = isStale(entry, cacheSettings, now);
+      const text = `${entry.uuid} ${entry.data.fullName}`.toLowerCase();
+      if ((!staleOnly || stale) && (!needle || text.includes(needle))) {
+        entries.push({
+          key: entry.key,
+          profileId: entry.profileId,
+          uuid: entry.uuid,
+          type: entry.type,
+          fullName: entry.data.fullName,
+          cachedAt: entry.cachedAt,
+          lastUsed: entry.lastUsed,
+          stale,
+        });
+      }
+      return entries.length < limit;
+    });
+    return entries;
+  });
+}
+
+/**
+ * Re-resolve one cached UUID against its profile, bypassing the cache.
+ * The entry is dropped when the object no longer resolves.
+ */
+async function refreshCacheEntry(key) {
+  const cached = await withCacheStore("readonly", (store) => idbRequest(store.get(key)));
+  if (!cached) throw new Error("Cache entry no longer exists");
+
+  const { profiles, cacheSettings } = await getConfig();
+  const profile = findProfile(profiles, cached.profileId);
+  const missing = credentialsError(profile);
+  if (missing) throw new Error(missing);
+
+  const item = { uuid: cached.uuid, type: cached.type, bucket: null, parent: null };
+  const { results } = await resolveUuids([item], profile);
+  const data = results[cached.uuid];
+  if (!data) {
+    await withCacheStore("readwrite", (store) => store.delete(key));
+    return { removed: true };
+  }
+  await putCachedResults(profile.id, { [cached.uuid]: data }, cacheSettings);
+  return { removed: false, fullName: data.fullName };
+}
+
+// --------------- Orphans ---------------
+
+// A table, volume or model UUID that no candidate profile can resolve is
+// usually a dropped object whose data is still billed. "Not found" results
+// are cached per profile in "notFoundCache" with their own TTL so rescans
+// don't query them again, and every orphan seen is kept in "orphans" for
+// the popup. Dropped tables still within their retention window are named
+// through SHOW TABLES DROPPED.
+
+const NOT_FOUND_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const LEAF_TYPES = ["table", "volume", "model"];
+
+function freshNotFound(notFoundCache, profileId, uuid) {
+  const entry = notFoundCache[cacheKey(profileId, uuid)];
+  return entry && Date.now() - entry.cachedAt < NOT_FOUND_TTL_MS ? entry : null;
+}
+
+// Lookups can run for minutes while other writers (Clear Cache, Clear
+// Orphans, deleting a profile, lookups from other tabs and frames) change
+// the same keys. Writes go through updateLookupState one at a time, and a
+// lookup only merges the entries it changed into what is stored by then.
+let lookupStateWrite = Promise.resolve();
+
+/**
+ * Read notFoundCache, orphans and cacheStats, let update change them in
+ * place, and store them, serialized with every other such update.
+ */
+function updateLookupState(update) {
+  const write = lookupStateWrite.then(async () => {
+    const stored = await getStorage(["notFoundCache", "orphans", "cacheStats"]);
+    const state = {
+      notFoundCache: stored.notFoundCache || {},
+      orphans: stored.orphans || {},
+      cacheStats: stored.cacheStats || { hits: 0, misses: 0, since: Date.now() },
+    };
+    await update(state);
+    await setStorage(state);
+  });
+  lookupStateWrite = write.catch(() => {});
+  return write;
+}
+
+/**
+ * What a lookup is about to change in config, for mergeLookupState.
+ */
+function lookupStateSnapshot(config) {
+  return {
+    notFoundCache: { ...config.notFoundCache },
+    orphans: { ...config.orphans },
+    hits: config.cacheStats.hits,
+    misses: config.cacheStats.misses,
+  };
+}
+
+/**
+ * Store the notFoundCache and orphans entries a lookup added, replaced or
+ * removed since snapshot, and its cache hits and misses. Entries of
+ * profiles deleted meanwhile are dropped.
+ */
+async function mergeLookupState(config, snapshot) {
+  const { profiles } = await getConfig();
+  const profileIds = new Set(profiles.map((p) => p.id));
+  const notFoundProfile = (key) => key.slice(0, key.lastIndexOf(":"));
+
+  await updateLookupState((state) => {
+    const merge = (target, before, after, keep) => {
+      for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (before[key] === after[key]) continue;
+        if (after[key] && keep(key, after[key])) target[key] = after[key];
+        else if (!after[key]) delete target[key];
+      }
+    };
+    merge(state.notFoundCache, snapshot.notFoundCache, config.notFoundCache, (key) =>
+      profileIds.has(notFoundProfile(key))
+    );
+    merge(state.orphans, snapshot.orphans, config.orphans, (key, orphan) => profileIds.has(orphan.profileId));
+    state.cacheStats.hits += config.cacheStats.hits - snapshot.hits;
+    state.cacheStats.misses += config.cacheStats.misses - snapshot.misses;
+    state.cacheUpdatedAt = Date.now();
+  });
+}
+
+function quoteName(fullName) {
+  return fullName
+    .split(".")
+    .map((part) => `\`${part.replace(/`/g, "``")}\``)
+    .join(".");
+}
+
+/**
+ * Look up unresolved table UUIDs among the dropped tables of their parent
+ * schema (or of every schema in their parent catalog). Parents are named
+ * from this lookup's matches or the catalog/schema listing.
+ *
+ * Returns uuid -> { fullName, droppedAt }.
+ */
+async function findDroppedTables(profile, items, matches, signal) {
+  const tables = items.filter((u) => u.type === "table" && u.parent);
+  if (tables.length === 0 || !usesSqlWarehouse(profile)) return {};
+
+  let containers = {};
+  try {
+    containers = await listContainers(profile);
+  } catch (err) {
+    log.warn("[S3 Lens BG] Catalog/schema listing failed for dropped-table check:", err.message);
+  }
+  const names = { ...containers, ...matches };
+  const schemaNames = Object.values(containers)
+    .filter((c) => c.type === "schema")
+    .map((c) => c.fullName);
+
+  const schemas = new Set();
+  for (const { parent } of tables) {
+    const container = names[parent.uuid];
+    if (container?.type === "schema") {
+      schemas.add(container.fullName);
+    } else if (container?.type === "catalog") {
+      for (const name of schemaNames) {
+        if (name.startsWith(`${container.fullName}.`)) schemas.add(name);
+      }
+    }
+  }
+
+  const wanted = new Set(tables.map((u) => u.uuid));
+  const dropped = {};
+  for (const schema of schemas) {
+    try {
+      const result = await executeSql(profile, `SHOW TABLES DROPPED IN ${quoteName(schema)}`, { signal });
+      const columns = (result.manifest?.schema?.columns || []).map((c) => c.name.toLowerCase());
+      const idIdx = columns.findIndex((n) => /^table_?id$/.test(n));
+      const nameIdx = columns.findIndex((n) => /^table_?name$/.test(n));
+      const droppedIdx = columns.findIndex((n) => /^deleted_?at$/.test(n));
+      if (idIdx === -1 || nameIdx === -1) continue;
+
+      for (const row of result.result?.data_array || []) {
+        const uuid = (row[idIdx] || "").toLowerCase();
+        if (!wanted.has(uuid)) continue;
+        dropped[uuid] = {
+          fullName: `${schema}.${row[nameIdx]}`,
+          droppedAt: droppedIdx === -1 ? null : row[droppedIdx],
+        };
+      }
+    } catch (err) {
+      log.warn("[S3 Lens BG] SHOW TABLES DROPPED failed for", schema, ":", err.message);
+    }
+  }
+
+  log.info(`[S3 Lens BG] Dropped tables found: ${Object.keys(dropped).length} / ${tables.length}`);
+  return dropped;
+}
+
+function orphanInfo(item, profileId, dropped) {
+  return {
+    type: "orphan",
+    objectType: item.type,
+    uuid: item.uuid,
+    fullName: dropped?.fullName || null,
+    dropped: dropped || null,
+    profileId,
+  };
+}
+
+// --------------- Offline Mappings ---------------
+
+// A profile's resolved names (its storage-path index plus cached lookups)
+// and external paths can be exported as a versioned JSON file and imported
+// in a browser without Databricks access. The file carries a SHA-256 digest
+// of its payload so truncated or hand-edited files are rejected. Imported
+// mappings are stored under "mapping:<id>" with their metadata in
+// "importedMappings". In offline mode lookups are answered only from them;
+// no SQL statement or REST call is made. Matches carry the profile id
+// "import:<id>".
+
+const MAPPING_FORMAT = "s3-lens-mapping";
+const MAPPING_VERSION = 1;
+
+function mappingStorageKey(mappingId) {
+  return `mapping:${mappingId}`;
+}
+
+function importedMappingId(profileId) {
+  return profileId?.startsWith("import:") ? profileId.slice("import:".length) : null;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Build the export file for a profile: index entries first, overridden by
+ * fresher cache entries, plus the external path index as last loaded.
+ */
+async function exportMapping(profile) {
+  const { cacheSettings } = await getConfig();
+  const entries = {};
+
+  const index = await loadIndex(profile.id);
+  if (index) Object.assign(entries, index.entries);
+
+  await withCacheStore("readonly", (store) => {
+    walkCursor(
+      store.index("profileId"),
+      (cursor) => {
+        const entry = cursor.value;
+        if (!isStale(entry, cacheSettings)) entries[entry.uuid] = entry.data;
+      },
+      IDBKeyRange.only(profile.id)
+    );
+  });
+
+  const externalKey = externalIndexStorageKey(profile.id);
+  const external = (await getStorage([externalKey]))[externalKey]?.entries || [];
+
+  const payload = {
+    format: MAPPING_FORMAT,
+    version: MAPPING_VERSION,
+    exportedAt: Date.now(),
+    source: { profileName: profile.name, workspaceUrl: profile.workspaceUrl },
+    entries,
+    external,
+  };
+  return { ...payload, sha256: await sha256Hex(JSON.stringify(payload)) };
+}
+
+/**
+ * Validate and store an exported mapping. A newer export of the same
+ * workspace replaces the older one. Returns the stored metadata.
+ */
+async function importMapping(mapping) {
+  if (mapping?.format !== MAPPING_FORMAT) throw new Error("Not an S3 Lens mapping file");
+  if (!(mapping.version <= MAPPING_VERSION)) {
+    throw new Error(`Mapping version ${mapping.version} needs a newer version of the extension`);
+  }
+  const { sha256, ...payload } = mapping;
+  if (sha256 !== (await sha256Hex(JSON.stringify(payload)))) {
+    throw new Error("Mapping file checksum doesn't match; it was modified or truncated");
+  }
+
+  const entries = {};
+  for (const [uuid, entry] of Object.entries(payload.entries || {})) {
+    if (UUID_RE.test(uuid) && typeof entry?.type === "string" && typeof entry.fullName === "string") {
+      entries[uuid] = { type: entry.type, fullName: entry.fullName };
+    }
+  }
+  const external = (payload.external || [])
+    .filter((e) => typeof e?.path === "string" && typeof e.fullName === "string")
+    .map((e) => ({ path: normalizeS3Path(e.path), type: e.type, fullName: e.fullName }))
+    .sort((a, b) => b.path.length - a.path.length);
+
+  const source = payload.source || {};
+  const meta = {
+    id: sha256.slice(0, 16),
+    profileName: source.profileName || "Unknown",
+    workspaceUrl: source.workspaceUrl || "",
+    exportedAt: payload.exportedAt || null,
+    importedAt: Date.now(),
+    size: Object.keys(entries).length,
+    externalSize: external.length,
+  };
+
+  const { importedMappings } = await getConfig();
+  const replaced = importedMappings.filter(
+    (m) => m.id === meta.id || (m.workspaceUrl === meta.workspaceUrl && m.profileName === meta.profileName)
+  );
+  await removeStorage(replaced.map((m) => mappingStorageKey(m.id)));
+  await setStorage({
+    [mappingStorageKey(meta.id)]: { entries, external },
+    importedMappings: [...importedMappings.filter((m) => !replaced.includes(m)), meta],
+  });
+  log.info(`[S3 Lens BG] Imported mapping ${meta.id}:`, meta.size, "names,", meta.externalSize, "paths");
+  return meta;
+}
+
+async function deleteMapping(mappingId) {
+  const { importedMappings } = await getConfig();
+  await removeStorage([mappingStorageKey(mappingId)]);
+  await setStorage({ importedMappings: importedMappings.filter((m) => m.id !== mappingId) });
+}
+
+/**
+ * Imported mappings with their data, newest export first so a fresher
+ * export wins when two workspaces know the same UUID.
+ */
+async function loadMappings(importedMappings) {
+  const sorted = [...importedMappings].sort((a, b) => (b.exportedAt || 0) - (a.exportedAt || 0));
+  const stored = await getStorage(sorted.map((m) => mappingStorageKey(m.id)));
+  return sorted
+    .map((meta) => ({ meta, data: stored[mappingStorageKey(meta.id)] }))
+    .filter((m) => m.data);
+}
+
+/**
+ * Offline counterpart of lookupUuids: answer only from imported mappings.
+ * Nothing is marked orphaned, since a missing UUID may simply postdate
+ * the export.
+ */
+async function lookupUuidsOffline(typedUuids, config) {
+  const mappings = await loadMappings(config.importedMappings);
+  const matches = {};
+  for (const { uuid } of typedUuids) {
+    for (const { meta, data } of mappings) {
+      const entry = data.entries[uuid];
+      if (entry) {
+        matches[uuid] = { ...entry, profileId: `import:${meta.id}` };
+        break;
+      }
+    }
+  }
+  const error = mappings.length === 0 ? "Offline mode is on but no mapping is imported" : undefined;
+  return { matches, error };
+}
+
+/**
+ * Offline counterpart of lookupPrefixes over the imported external paths.
+ */
+async function lookupPrefixesOffline(prefixes, config) {
+  const mappings = await loadMappings(config.importedMappings);
+  const matches = {};
+  for (const { path } of prefixes) {
+    let best = null;
+    for (const { meta, data } of mappings) {
+      const match = matchExternalPath({ entries: data.external }, path);
+      if (match && (!best || match.matchedLength > best.matchedLength)) {
+        best = { ...match, profileId: `import:${meta.id}` };
+      }
+    }
+    if (best) {
+      delete best.matchedLength;
+      matches[path] = best;
+    }
+  }
+  return { matches };
+}
+
+/**
+ * The workspace a match's profile id points at: a configured profile, or
+ * the source workspace of an imported mapping.
+ */
+function workspaceForMatch(config, profileId) {
+  const mappingId = importedMappingId(profileId);
+  if (!mappingId) return findProfile(config.profiles, profileId);
+  const mapping = config.importedMappings.find((m) => m.id === mappingId);
+  if (!mapping) throw new Error("The imported mapping was removed");
+  return { ...mapping, imported: true };
+}
+
+// --------------- Table Search ---------------
+
+// The reverse of a lookup: from a table name to its storage prefix. Names
+// are suggested from the cache and both indexes as the user types; a search
+// for a partial name falls back to information_schema.tables. The located
+// prefix opens in the S3 console or in the last Storage Lens dashboard the
+// content script saw, with the page filter set to the table.
+
+const TABLE_SUGGESTION_LIMIT = 20;
+const TABLE_TYPES = ["table", "external_table"];
+
+/**
+ * Table names of a profile containing query, from locally stored data only.
+ */
+async function localTableNames(profile, query) {
+  const needle = query.trim().toLowerCase();
+  const names = new Set();
+  const add = (entry) => {
+    if (TABLE_TYPES.includes(entry.type) && entry.fullName.toLowerCase().includes(needle)) {
+      names.add(entry.fullName);
+    }
+  };
+
+  const cached = await listCacheEntries({ query: needle, limit: 500 });
+  cached.filter((e) => e.profileId === profile.id).forEach(add);
+  Object.values((await loadIndex(profile.id))?.entries || {}).forEach(add);
+  const externalKey = externalIndexStorageKey(profile.id);
+  ((await getStorage([externalKey]))[externalKey]?.entries || []).forEach(add);
+
+  return [...names].sort().slice(0, TABLE_SUGGESTION_LIMIT);
+}
+
+/**
+ * Table names matching query. With remote set, information_schema.tables
+ * is searched too (needs a SQL warehouse backend).
+ */
+async function suggestTableNames(profile, query, { remote = false } = {}) {
+  const names = new Set(await localTableNames(profile, query));
+  if (!remote || !usesSqlWarehouse(profile) || names.size >= TABLE_SUGGESTION_LIMIT) {
+    return [...names];
+  }
+
+  const result = await executeSql(
+    profile,
+    `
+      SELECT concat_ws('.', table_catalog, table_schema, table_name) AS full_name
+      FROM system.information_schema.tables
+      WHERE lower(concat_ws('.', table_catalog, table_schema, table_name)) LIKE :pattern
+        AND storage_path IS NOT NULL
+      ORDER BY full_name
+      LIMIT ${TABLE_SUGGESTION_LIMIT}
+    `,
+    { parameters: { pattern: `%${query.trim().toLowerCase().replace(/[\\%_]/g, "\\$&")}%` } }
+  );
+  for (const [fullName] of result.result?.data_array || []) names.add(fullName);
+  return [...names].sort().slice(0, TABLE_SUGGESTION_LIMIT);
+}
+
+/**
+ * Split "s3://bucket/key/prefix" into { bucket, prefix } with a trailing
+ * slash on the prefix, or null for non-S3 locations.
+ */
+function splitS3Path(url) {
+  const match = /^s3a?:\/\/([^/]+)\/?(.*)$/i.exec(url || "");
+  if (!match) return null;
+  const prefix = match[2].replace(/\/+$/, "");
+  return { bucket: match[1], prefix: prefix ? `${prefix}/` : "" };
+}
+
+function s3ConsoleUrl(bucket, prefix) {
+  return `https://s3.console.aws.amazon.com/s3/buckets/${encodeURIComponent(bucket)}?prefix=${encodeURIComponent(prefix)}`;
+}
+
+/**
+ * Storage location of a table, from information_schema.tables on SQL
+ * backends or the Unity Catalog tables API otherwise.
+ */
+async function locateTable(profile, fullName) {
+  const parts = fullName.trim().split(".");
+  if (parts.length !== 3 || parts.some((p) => !p)) {
+    throw new Error("Enter a full catalog.schema.table name");
+  }
+
+  let tableType;
+  let storagePath;
+  if (usesSqlWarehouse(profile)) {
+    const result = await executeSql(
+      profile,
+      `
+        SELECT table_type, storage_path
+        FROM system.information_schema.tables
+        WHERE table_catalog = :catalog AND table_schema = :schema AND table_name = :name
+      `,
+      { parameters: { catalog: parts[0], schema: parts[1], name: parts[2] } }
+    );
+    const row = result.result?.data_array?.[0];
+    if (!row) throw new Error(`Table ${fullName} not found`);
+    [tableType, storagePath] = row;
+  } else {
+    const table = await ucApiGet(profile, `tables/${encodeURIComponent(fullName)}`);
+    tableType = table.table_type;
+    storagePath = table.storage_location;
+  }
+
+  if (!storagePath) throw new Error(`${fullName} has no storage location (${tableType || "unknown type"})`);
+  const split = splitS3Path(storagePath);
+  if (!split) throw new Error(`${fullName} is not stored on S3: ${storagePath}`);
+
+  const { lensDashboardUrl = null } = await getStorage(["lensDashboardUrl"]);
+  return {
+    fullName,
+    tableType,
+    storagePath,
+    bucket: split.bucket,
+    prefix: split.prefix,
+    s3Url: s3ConsoleUrl(split.bucket, split.prefix),
+    lensDashboardUrl,
+  };
+}
+
+/**
+ * Open the last seen Storage Lens dashboard with the page filter set to a
+ * table. The filter is handed over through storage; the first frame that
+ * shows the table's prefix rows applies it.
+ */
+async function openInStorageLens(fullName) {
+  const { lensDashboardUrl } = await getStorage(["lensDashboardUrl"]);
+  if (!lensDashboardUrl) throw new Error("Open a Storage Lens dashboard once so S3 Lens knows where it is");
+  await setStorage({ pendingLensFilter: { pattern: fullName, setAt: Date.now() } });
+  await chrome.tabs.create({ url: lensDashboardUrl });
+}
+
+// --------------- Lookup ---------------
+
+// Types a UUID without a storage path around it is tried as, in order
+const BARE_UUID_TYPES = ["table", "schema", "catalog"];
 
 /**
- * Resolve typed UUIDs using system.information_schema.tables.storage_path.
+ * Resolve items against a list of candidate profiles. The cache of every
+ * candidate is consulted first; whatever is still missing is then sent to
+ * each profile in turn until it resolves, skipping UUIDs a profile recently
+ * reported missing. Leaf UUIDs every candidate reports missing come back as
+ * orphans.
  *
- * Strategy:
- * - Table UUIDs:   storage_sub_directory = 'tables/<uuid>'  -> exact match
- * - Schema UUIDs:  storage_path LIKE '%/schemas/<uuid>/%'   -> extract catalog.schema
- * - Catalog UUIDs: storage_path LIKE '%/catalogs/<uuid>/%'  -> extract catalog
+ * Fresh results go straight to the IndexedDB cache. Updates
+ * config.notFoundCache, config.orphans and config.cacheStats in place; the
+ * caller persists them with mergeLookupState.
  *
- * Input: array of { uuid, type } where type is "table"|"schema"|"catalog"
- * Returns: map of uuid -> { type, fullName }
+ * With skipCache, neither cached names nor recent "not found" answers are
+ * used, so every item is queried again (a retry after failures).
+ *
+ * Returns { matches, errors } where matches is uuid -> { type, fullName, profileId }.
+ * Aborting signal stops further lookups and cancels running statements.
  */
-async function resolveUuids(typedUuids, config) {
-  const { workspaceUrl, patToken, warehouseId } = config;
-  const results = {};
+async function lookupInProfiles(items, profiles, config, signal, skipCache = false) {
+  const { notFoundCache, cacheSettings } = config;
+  const matches = {};
+  const errors = [];
+  const missingIn = new Map(); // uuid -> [{ profileId, dropped }]
+  let pending = items;
 
-  if (typedUuids.length === 0) return results;
-
-  // Validate UUIDs to prevent SQL injection (belt-and-suspenders, content.js also validates)
-  const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
-  const validUuids = typedUuids.filter((u) => UUID_RE.test(u.uuid));
-  if (validUuids.length === 0) return results;
+  const noteMissing = (item, profileId, dropped) => {
+    if (!missingIn.has(item.uuid)) missingIn.set(item.uuid, []);
+    missingIn.get(item.uuid).push({ profileId, dropped: dropped || null });
+  };
 
-  console.log("[S3 Lens BG] Resolving", validUuids.length, "typed UUIDs:", validUuids);
+  for (const profile of profiles) {
+    if (pending.length === 0 || skipCache) break;
+    const { cached, uncached } = await getCachedResults(pending, profile.id, cacheSettings);
+    for (const [uuid, data] of Object.entries(cached)) {
+      matches[uuid] = { ...data, profileId: profile.id };
+    }
+    pending = uncached;
+  }
+  const hits = items.length - pending.length;
+  config.cacheStats.hits += hits;
+  config.cacheStats.misses += pending.length;
+  logEvent("info", "cache", { hits, misses: pending.length, skipCache });
 
-  // Group by type
-  const tableUuids = validUuids.filter((u) => u.type === "table");
-  const schemaUuids = validUuids.filter((u) => u.type === "schema");
-  const catalogUuids = validUuids.filter((u) => u.type === "catalog");
+  for (const profile of profiles) {
+    if (pending.length === 0 || signal?.aborted) break;
+    const missing = credentialsError(profile);
+    if (missing) {
+      errors.push(profiles.length > 1 ? `${missing} for profile "${profile.name}"` : missing);
+      continue;
+    }
 
-  // --- Resolve table UUIDs ---
-  if (tableUuids.length > 0) {
-    const conditions = tableUuids
-      .map((u) => `'tables/${u.uuid}'`)
-      .join(", ");
+    // The index can be up to a refresh behind, so a UUID missing from it
+    // proves nothing: index misses are neither cached nor counted towards
+    // orphans, and the next lookup asks the index again
+    const fromIndex = profile.indexMode && usesSqlWarehouse(profile);
+    const toQuery = [];
+    for (const item of pending) {
+      const known = !skipCache && !fromIndex && freshNotFound(notFoundCache, profile.id, item.uuid);
+      if (known) noteMissing(item, profile.id, known.dropped);
+      else toQuery.push(item);
+    }
+    if (toQuery.length === 0) continue;
 
     try {
-      const sql = `
-        SELECT table_catalog, table_schema, table_name, storage_sub_directory
-        FROM system.information_schema.tables
-        WHERE storage_sub_directory IN (${conditions})
-      `;
-      const result = await executeSql(workspaceUrl, patToken, warehouseId, sql);
+      const { results: fresh, notFound } = fromIndex
+        ? await resolveFromIndex(toQuery, profile)
+        : await resolveUuids(toQuery, profile, signal);
 
-      if (result.result?.data_array) {
-        for (const row of result.result.data_array) {
-          const [catalog, schema, table, subDir] = row;
-          // Extract UUID from "tables/<uuid>"
-          const uuid = subDir.replace("tables/", "").toLowerCase();
-          results[uuid] = {
-            type: "table",
-            fullName: `${catalog}.${schema}.${table}`,
+      const now = Date.now();
+      for (const [uuid, data] of Object.entries(fresh)) {
+        matches[uuid] = { ...data, profileId: profile.id };
+        delete notFoundCache[cacheKey(profile.id, uuid)];
+        delete config.orphans[uuid];
+      }
+      if (!fromIndex) {
+        await putCachedResults(profile.id, fresh, cacheSettings);
+        const dropped = await findDroppedTables(profile, notFound, matches, signal);
+        for (const item of notFound) {
+          notFoundCache[cacheKey(profile.id, item.uuid)] = {
+            cachedAt: now,
+            dropped: dropped[item.uuid] || null,
           };
+          noteMissing(item, profile.id, dropped[item.uuid]);
         }
       }
-      console.log("[S3 Lens BG] Table UUIDs resolved:", Object.keys(results).length, "/", tableUuids.length);
     } catch (err) {
-      console.error("[S3 Lens BG] Table lookup failed:", err.message);
+      log.error("[S3 Lens BG] Resolution failed for profile", profile.name, ":", err.message);
+      logEvent("error", "resolve", { profileId: profile.id, uuids: toQuery.length, error: err.message });
+      errors.push(profiles.length > 1 ? `${profile.name}: ${err.message}` : err.message);
     }
+    pending = pending.filter((u) => !matches[u.uuid]);
   }
 
-  // --- Resolve schema UUIDs ---
-  if (schemaUuids.length > 0) {
-    for (const { uuid } of schemaUuids) {
-      try {
-        const sql = `
-          SELECT DISTINCT table_catalog, table_schema
-          FROM system.information_schema.tables
-          WHERE storage_path LIKE '%/schemas/${uuid}/%'
-          LIMIT 1
-        `;
-        const result = await executeSql(workspaceUrl, patToken, warehouseId, sql);
+  // Orphans: leaf UUIDs that every candidate profile searched for and missed
+  const now = Date.now();
+  for (const item of pending) {
+    const misses = missingIn.get(item.uuid) || [];
+    if (!LEAF_TYPES.includes(item.type) || misses.length < profiles.length) continue;
 
-        if (result.result?.data_array?.length > 0) {
-          const [catalog, schema] = result.result.data_array[0];
-          results[uuid] = {
-            type: "schema",
-            fullName: `${catalog}.${schema}`,
-          };
-        }
-      } catch (err) {
-        console.error("[S3 Lens BG] Schema lookup failed for", uuid, ":", err.message);
-      }
-    }
-    console.log("[S3 Lens BG] After schema resolution, total resolved:", Object.keys(results).length);
+    const hit = misses.find((m) => m.dropped) || misses[0];
+    matches[item.uuid] = orphanInfo(item, hit.profileId, hit.dropped);
+    config.orphans[item.uuid] = {
+      uuid: item.uuid,
+      objectType: item.type,
+      bucket: item.bucket,
+      profileId: hit.profileId,
+      dropped: hit.dropped,
+      firstSeen: config.orphans[item.uuid]?.firstSeen || now,
+      lastSeen: now,
+    };
   }
 
-  // --- Resolve catalog UUIDs ---
-  if (catalogUuids.length > 0) {
-    for (const { uuid } of catalogUuids) {
-      try {
-        const sql = `
-          SELECT DISTINCT table_catalog
-          FROM system.information_schema.tables
-          WHERE storage_path LIKE '%/catalogs/${uuid}/%'
-          LIMIT 1
-        `;
-        const result = await executeSql(workspaceUrl, patToken, warehouseId, sql);
+  return { matches, errors };
+}
 
-        if (result.result?.data_array?.length > 0) {
-          const [catalog] = result.result.data_array[0];
-          results[uuid] = {
-            type: "catalog",
-            fullName: catalog,
-          };
-        }
-      } catch (err) {
-        console.error("[S3 Lens BG] Catalog lookup failed for", uuid, ":", err.message);
-      }
-    }
-    console.log("[S3 Lens BG] After catalog resolution, total resolved:", Object.keys(results).length);
+/**
+ * Route each typed UUID to the profile mapped to its bucket. UUIDs whose
+ * bucket matches no profile are tried against every profile in order.
+ */
+async function lookupUuids(typedUuids, config, signal, { skipCache = false } = {}) {
+  const { profiles } = config;
+  const groups = new Map(); // profileId | "*" -> items
+
+  for (const item of typedUuids) {
+    const profile = profileForBucket(profiles, item.bucket);
+    const key = profile ? profile.id : "*";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
   }
 
-  console.log("[S3 Lens BG] Final resolved results:", results);
-  return results;
+  const matches = {};
+  const errors = [];
+  const snapshot = lookupStateSnapshot(config);
+  for (const [key, items] of groups) {
+    const candidates = key === "*" ? profiles : profiles.filter((p) => p.id === key);
+    const result = await lookupInProfiles(items, candidates, config, signal, skipCache);
+    Object.assign(matches, result.matches);
+    errors.push(...result.errors);
+  }
+
+  await mergeLookupState(config, snapshot);
+
+  return { matches, error: errors.length > 0 ? errors.join("; ") : undefined };
 }
 
-// --------------- Cache Management ---------------
+/**
+ * Resolve UUIDs of unknown type, e.g. pasted from an error message. After
+ * the cache, each UUID is tried as a table, a schema and a catalog in every
+ * profile in turn. Items are marked bare, so schemas and catalogs are only
+ * looked for in the catalog listing, not with the per-UUID table scans the
+ * SQL backend falls back to. The guessed types may be wrong, so misses are
+ * neither remembered as "not found" nor reported as orphans.
+ *
+ * Returns { matches, error } like lookupUuids.
+ */
+async function lookupBareUuids(uuids, config, signal) {
+  const { profiles, cacheSettings } = config;
+  const matches = {};
+  const errors = [];
+  let pending = uuids.map((uuid) => ({ uuid, type: null, bucket: null, parent: null, bare: true }));
 
-async function getCachedResults(typedUuids) {
-  const { uuidCache } = await getConfig();
-  const now = Date.now();
-  const cached = {};
-  const uncached = [];
+  for (const profile of profiles) {
+    if (pending.length === 0) break;
+    const { cached, uncached } = await getCachedResults(pending, profile.id, cacheSettings);
+    for (const [uuid, data] of Object.entries(cached)) {
+      matches[uuid] = { ...data, profileId: profile.id };
+    }
+    pending = uncached;
+  }
 
-  for (const item of typedUuids) {
-    const key = item.uuid.toLowerCase();
-    const entry = uuidCache[key];
-    if (entry && now - entry.cachedAt < CACHE_TTL_MS) {
-      cached[key] = entry.data;
-    } else {
-      uncached.push(item);
+  for (const profile of profiles) {
+    if (pending.length === 0 || signal?.aborted) break;
+    const missing = credentialsError(profile);
+    if (missing) {
+      errors.push(profiles.length > 1 ? `${missing} for profile "${profile.name}"` : missing);
+      continue;
+    }
+
+    try {
+      // The index is keyed by UUID alone and needs no type
+      const fromIndex = profile.indexMode && usesSqlWarehouse(profile);
+      const { results: fresh } = fromIndex
+        ? await resolveFromIndex(pending, profile)
+        : await resolveUuids(
+            pending.flatMap((item) => BARE_UUID_TYPES.map((type) => ({ ...item, type }))),
+            profile,
+            signal
+          );
+      for (const [uuid, data] of Object.entries(fresh)) {
+        matches[uuid] = { ...data, profileId: profile.id };
+      }
+      if (!fromIndex) await putCachedResults(profile.id, fresh, cacheSettings);
+    } catch (err) {
+      log.error("[S3 Lens BG] Resolution failed for profile", profile.name, ":", err.message);
+      logEvent("error", "resolve", { profileId: profile.id, uuids: pending.length, error: err.message });
+      errors.push(profiles.length > 1 ? `${profile.name}: ${err.message}` : err.message);
     }
+    pending = pending.filter((u) => !matches[u.uuid]);
   }
 
-  console.log(`[S3 Lens BG] Cache: ${Object.keys(cached).length} hit, ${uncached.length} miss`);
-  return { cached, uncached };
+  return { matches, error: errors.length > 0 ? errors.join("; ") : undefined };
 }
 
-async function updateCache(newResults) {
-  const { uuidCache } = await getConfig();
-  const now = Date.now();
+/**
+ * Match plain S3 prefixes ({ path, bucket }) against the external storage
+ * of the profile mapped to each bucket, or of every profile when no mapping
+ * matches. Profiles with external paths switched off are skipped, so their
+ * index is never built. Returns { matches, error } where matches is
+ * path -> info.
+ */
+async function lookupPrefixes(prefixes, config) {
+  const { profiles } = config;
+  const enabled = new Set();
+  for (const profile of profiles) {
+    if (!credentialsError(profile) && (await externalPathsEnabled(profile))) enabled.add(profile.id);
+  }
+  const indexes = new Map(); // profileId -> external index
+  const matches = {};
+  const errors = new Set();
+
+  for (const { path, bucket } of prefixes) {
+    const routed = profileForBucket(profiles, bucket);
+    const candidates = routed ? [routed] : profiles;
+    let best = null;
+
+    for (const profile of candidates) {
+      if (!enabled.has(profile.id)) continue;
+      if (!indexes.has(profile.id)) {
+        try {
+          indexes.set(profile.id, await getExternalIndex(profile));
+        } catch (err) {
+          errors.add(profiles.length > 1 ? `${profile.name}: ${err.message}` : err.message);
+          indexes.set(profile.id, { entries: [] });
+        }
+      }
+      const match = matchExternalPath(indexes.get(profile.id), path);
+      if (match && (!best || match.matchedLength > best.matchedLength)) {
+        best = { ...match, profileId: profile.id };
+      }
+    }
 
-  for (const [uuid, data] of Object.entries(newResults)) {
-    uuidCache[uuid] = { data, cachedAt: now };
+    if (best) {
+      delete best.matchedLength;
+      matches[path] = best;
+    }
   }
 
-  await setStorage({ uuidCache, cacheUpdatedAt: now });
+  return { matches, error: errors.size > 0 ? [...errors].join("; ") : undefined };
 }
 
 // --------------- Test Connection ---------------
 
-async function testConnection(config) {
-  const result = await executeSql(
-    config.workspaceUrl,
-    config.patToken,
-    config.warehouseId,
-    "SELECT 1 AS ok"
-  );
+async function testConnection(profile) {
+  if (!usesSqlWarehouse(profile)) {
+    await ucApiGet(profile, "catalogs", { max_results: 1 });
+    return { success: true, identity: await whoAmI(profile), authMethod: profile.authMethod };
+  }
+
+  const result = await executeSql(profile, "SELECT 1 AS ok");
 
   if (
     result.status?.state === "SUCCEEDED" &&
     result.result?.data_array?.[0]?.[0] === "1"
   ) {
-    return { success: true };
+    return { success: true, identity: await whoAmI(profile), authMethod: profile.authMethod };
   }
 
   throw new Error(`Unexpected response: ${JSON.stringify(result.status)}`);
 }
 
+// --------------- Selection Resolver ---------------
+
+// Resolves UUIDs and __unitystorage paths selected on any page, e.g. in a
+// chat message or an error dialog. The context menu item and the keyboard
+// command open resolve.html in a small window with the selected text; the
+// page parses it and looks the UUIDs up through the usual pipeline.
+
+const RESOLVE_MENU_ID = "resolve-selection";
+const RESOLVE_COMMAND = "resolve-selection";
+const SELECTION_MAX_LENGTH = 20000; // longer selections are cut, they travel in the URL
+
+/**
+ * The text selected in a tab's top frame, or "" when nothing is selected or
+ * the page doesn't allow scripts (chrome:// pages, the Web Store).
+ */
+async function selectedText(tabId) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => window.getSelection().toString(),
+    });
+    return injection?.result || "";
+  } catch (err) {
+    log.debug("[S3 Lens BG] Can't read the selection:", err.message);
+    return "";
+  }
+}
+
+async function openResolver(text) {
+  const query = new URLSearchParams({ text: (text || "").slice(0, SELECTION_MAX_LENGTH) });
+  await chrome.windows.create({
+    url: chrome.runtime.getURL(`resolve.html?${query}`),
+    type: "popup",
+    width: 460,
+    height: 520,
+  });
+}
+
+// --------------- Diagnostics ---------------
+
+const REDACTED = "[redacted]";
+
+function redactProfile(profile) {
+  return {
+    ...profile,
+    patToken: profile.patToken ? REDACTED : "",
+    clientSecret: profile.clientSecret ? REDACTED : "",
+  };
+}
+
+/**
+ * JSON bundle for bug reports: settings, cache state and the activity log.
+ * Tokens and secrets are removed from the profiles, and any stored secret
+ * or token-like string that made it into a log entry is scrubbed too.
+ */
+async function diagnosticsBundle() {
+  const config = await getConfig();
+  const { logLevel } = await getStorage("logLevel");
+  const bundle = {
+    generatedAt: new Date().toISOString(),
+    version: chrome.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    logLevel: logLevel || LOG_LEVEL_DEFAULT,
+    offlineMode: config.offlineMode,
+    freshnessSettings: config.freshnessSettings,
+    governanceSettings: config.governanceSettings,
+    profiles: config.profiles.map(redactProfile),
+    signedInProfiles: Object.keys(config.oauthTokens),
+    indexMeta: config.indexMeta,
+    cache: await getCacheInfo(),
+    importedMappings: config.importedMappings,
+    orphans: Object.keys(config.orphans).length,
+    activityLog: await getActivityLog(),
+  };
+
+  const secrets = [
+    ...config.profiles.flatMap((p) => [p.patToken, p.clientSecret]),
+    ...Object.values(config.oauthTokens).flatMap((t) => [t.accessToken, t.refreshToken]),
+  ].filter(Boolean);
+  let text = JSON.stringify(bundle, null, 2);
+  for (const secret of secrets) text = text.split(secret).join(REDACTED);
+  return text
+    .replace(/dapi[0-9a-f]{32}(-\d+)?/gi, REDACTED)
+    .replace(/Bearer\s+[\w.~+/=-]+/g, `Bearer ${REDACTED}`);
+}
+
 // --------------- Message Handler ---------------
 
+// Lookups a content script may abandon: scanId -> { controller, tabId }
+const activeLookups = new Map();
+
+// Expired cache entries are pruned in the background. Recreating an alarm
+// resets its schedule, so only create it when the worker finds none.
+chrome.alarms.get(CACHE_PRUNE_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(CACHE_PRUNE_ALARM, { periodInMinutes: CACHE_PRUNE_MINUTES });
+});
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== CACHE_PRUNE_ALARM) return;
+  pruneCache().catch((err) => log.error("[S3 Lens BG] Cache prune failed:", err.message));
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  for (const { controller, tabId: lookupTab } of activeLookups.values()) {
+    if (lookupTab === tabId) controller.abort();
+  }
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: RESOLVE_MENU_ID,
+    title: "Resolve with S3 Lens",
+    contexts: ["selection"],
+  });
+});
+chrome.contextMenus.onClicked.addListener((info) => {
+  if (info.menuItemId !== RESOLVE_MENU_ID) return;
+  openResolver(info.selectionText).catch((err) => log.error("[S3 Lens BG] Resolver failed:", err.message));
+});
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== RESOLVE_COMMAND) return;
+  (tab ? selectedText(tab.id) : Promise.resolve(""))
+    .then(openResolver)
+    .catch((err) => log.error("[S3 Lens BG] Resolver failed:", err.message));
+});
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log("[S3 Lens BG] Message:", message.action);
-  handleMessage(message)
+  log.debug("[S3 Lens BG] Message:", message.action);
+  handleMessage(message, sender)
     .then(sendResponse)
     .catch((err) => {
-      console.error("[S3 Lens BG] Handler error:", err.message);
+      log.error("[S3 Lens BG] Handler error:", err.message);
+      logEvent("error", "message", { action: message.action, error: err.message });
       sendResponse({ error: err.message });
     });
   return true;
 });
 
-async function handleMessage(message) {
+/**
+ * Send a status update to every tab with a lookup in flight.
+ */
+function notifyLookupTabs(message) {
+  const tabIds = new Set([...activeLookups.values()].map((l) => l.tabId).filter((id) => id !== undefined));
+  for (const tabId of tabIds) chrome.tabs.sendMessage(tabId, message).catch(() => {});
+}
+
+function findProfile(profiles, profileId) {
+  const profile = profiles.find((p) => p.id === profileId);
+  if (!profile) throw new Error(`Unknown profile: ${profileId}`);
+  return profile;
+}
+
+async function handleMessage(message, sender) {
   const { action } = message;
 
   switch (action) {
     case "getConfig": {
       const config = await getConfig();
-      const cacheSize = Object.keys(config.uuidCache).length;
+      const externalPaths = await Promise.all(config.profiles.map(externalPathsEnabled));
       return {
-        workspaceUrl: config.workspaceUrl,
-        warehouseId: config.warehouseId,
-        hasToken: !!config.patToken,
-        cacheSize,
-        cacheUpdatedAt: config.cacheUpdatedAt,
+        profiles: config.profiles.map((p, i) => ({
+          id: p.id,
+          name: p.name,
+          workspaceUrl: p.workspaceUrl,
+          warehouseId: p.warehouseId,
+          buckets: p.buckets,
+          authMethod: p.authMethod,
+          hasToken: !!p.patToken,
+          clientId: p.clientId,
+          hasClientSecret: !!p.clientSecret,
+          signedIn: p.authMethod === "oauth-u2m" && !!config.oauthTokens[p.id],
+          backend: p.backend,
+          warehousePolicy: p.warehousePolicy,
+          indexMode: p.indexMode,
+          externalPaths: externalPaths[i],
+          index: config.indexMeta[p.id] || null,
+        })),
+        offlineMode: config.offlineMode,
+        importedMappings: config.importedMappings,
+        siteSettings: config.siteSettings,
+        freshnessSettings: config.freshnessSettings,
+        governanceSettings: config.governanceSettings,
       };
     }
 
-    case "saveConfig": {
-      const updates = {};
-      if (message.workspaceUrl !== undefined)
-        updates.workspaceUrl = message.workspaceUrl.replace(/\/+$/, "");
-      if (message.warehouseId !== undefined)
-        updates.warehouseId = message.warehouseId;
-      if (message.patToken !== undefined) updates.patToken = message.patToken;
-      await setStorage(updates);
+    case "saveProfile": {
+      const { profiles } = await getConfig();
+      const input = message.profile || {};
+      const existing = profiles.find((p) => p.id === input.id);
+      const profile = existing || { ...PROFILE_DEFAULTS, id: crypto.randomUUID() };
+      if (input.workspaceUrl !== undefined) {
+        input.workspaceUrl = input.workspaceUrl.replace(/\/+$/, "");
+      }
+
+      // Cached OAuth tokens belong to the old workspace or client, so drop them
+      const authChanged = ["workspaceUrl", "authMethod", "clientId", "clientSecret"].some(
+        (key) => input[key] !== undefined && input[key] !== profile[key]
+      );
+      if (authChanged && existing) await saveToken(profile.id, null);
+
+      if (input.name !== undefined) profile.name = input.name;
+      if (input.workspaceUrl !== undefined) profile.workspaceUrl = input.workspaceUrl;
+      if (input.warehouseId !== undefined) profile.warehouseId = input.warehouseId;
+      if (input.authMethod !== undefined) profile.authMethod = input.authMethod;
+      if (input.patToken !== undefined) profile.patToken = input.patToken;
+      if (input.clientId !== undefined) profile.clientId = input.clientId;
+      if (input.clientSecret !== undefined) profile.clientSecret = input.clientSecret;
+      if (input.buckets !== undefined) profile.buckets = input.buckets;
+      if (input.backend !== undefined) profile.backend = input.backend;
+      if (input.indexMode !== undefined) profile.indexMode = !!input.indexMode;
+      if (input.externalPaths !== undefined) profile.externalPaths = !!input.externalPaths;
+      if (input.warehousePolicy !== undefined) profile.warehousePolicy = input.warehousePolicy;
+      warehouseReady.delete(profile.id);
+
+      await setStorage({ profiles: existing ? profiles : [...profiles, profile] });
+      if (profile.externalPaths === false) await removeStorage([externalIndexStorageKey(profile.id)]);
+      return { success: true, id: profile.id };
+    }
+
+    case "deleteProfile": {
+      const { profiles, indexMeta } = await getConfig();
+      const prefix = `${message.profileId}:`;
+      await deleteCachedResults(message.profileId);
+      delete indexMeta[message.profileId];
+      await saveToken(message.profileId, null);
+      await setStorage({
+        profiles: profiles.filter((p) => p.id !== message.profileId),
+        indexMeta,
+      });
+      await updateLookupState(({ notFoundCache }) => {
+        for (const key of Object.keys(notFoundCache)) {
+          if (key.startsWith(prefix)) delete notFoundCache[key];
+        }
+      });
+      await removeStorage([
+        indexStorageKey(message.profileId),
+        externalIndexStorageKey(message.profileId),
+      ]);
+      return { success: true };
+    }
+
+    case "rebuildIndex": {
+      const { profiles } = await getConfig();
+      const profile = findProfile(profiles, message.profileId);
+      const missing = credentialsError(profile);
+      if (missing) throw new Error(missing);
+      if (!usesSqlWarehouse(profile)) throw new Error("Index mode needs a SQL warehouse backend");
+      const index = await refreshIndex(profile, { full: true });
+      return { success: true, size: Object.keys(index.entries).length };
+    }
+
+    case "signIn": {
+      const { profiles } = await getConfig();
+      const profile = findProfile(profiles, message.profileId);
+      if (profile.authMethod !== "oauth-u2m") throw new Error("Profile does not use OAuth sign-in");
+      await signIn(profile);
+      return { success: true, identity: await whoAmI(profile) };
+    }
+
+    case "signOut": {
+      await saveToken(message.profileId, null);
+      return { success: true };
+    }
+
+    case "getRedirectUrl": {
+      return { redirectUrl: chrome.identity.getRedirectURL() };
+    }
+
+    case "listWarehouses": {
+      const { profiles } = await getConfig();
+      const profile = findProfile(profiles, message.profileId);
+      const missing = credentialsError(profile);
+      if (missing) throw new Error(missing);
+      return { warehouses: await listWarehouses(profile) };
+    }
+
+    case "startWarehouse": {
+      const { profiles } = await getConfig();
+      await startWarehouse(findProfile(profiles, message.profileId), message.warehouseId);
       return { success: true };
     }
 
     case "testConnection": {
-      const config = await getConfig();
-      return await testConnection(config);
+      const { profiles } = await getConfig();
+      return await testConnection(findProfile(profiles, message.profileId));
+    }
+
+    case "getActivityLog": {
+      const { logLevel } = await getStorage("logLevel");
+      return { entries: await getActivityLog(), logLevel: logLevel || LOG_LEVEL_DEFAULT };
+    }
+
+    case "clearActivityLog": {
+      await clearActivityLog();
+      return { success: true };
+    }
+
+    case "setLogLevel": {
+      if (!LOG_LEVELS.includes(message.level)) throw new Error(`Unknown log level: ${message.level}`);
+      consoleLevel = message.level;
+      await setStorage({ logLevel: message.level });
+      return { success: true };
+    }
+
+    case "getDiagnostics": {
+      return { bundle: await diagnosticsBundle() };
+    }
+
+    case "getCacheInfo": {
+      return await getCacheInfo();
+    }
+
+    case "saveCacheSettings": {
+      const settings = cacheSettingsWithDefaults(message.settings);
+      await setStorage({ cacheSettings: settings });
+      await evictOverflow(settings);
+      return { success: true, settings };
+    }
+
+    case "saveFreshnessSettings": {
+      const settings = freshnessSettingsWithDefaults(message.settings);
+      await setStorage({ freshnessSettings: settings });
+      return { success: true, settings };
+    }
+
+    case "getFreshness": {
+      // message.tables is an array of { profileId, fullName }
+      return await getFreshness(message.tables || [], await getConfig());
+    }
+
+    case "saveGovernanceSettings": {
+      const settings = governanceSettingsWithDefaults(message.settings);
+      await setStorage({ governanceSettings: settings });
+      return { success: true, settings };
+    }
+
+    case "getGovernance": {
+      // message.objects is an array of { profileId, type, fullName }
+      return await getGovernance(message.objects || [], await getConfig());
+    }
+
+    case "listCacheEntries": {
+      return { entries: await listCacheEntries(message) };
+    }
+
+    case "refreshCacheEntry": {
+      return { success: true, ...(await refreshCacheEntry(message.key)) };
     }
 
     case "clearCache": {
-      await setStorage({ uuidCache: {}, cacheUpdatedAt: null });
+      const { profiles } = await getConfig();
+      await clearCachedResults();
+      await setStorage({ cacheUpdatedAt: null });
+      await updateTtlCache("detailsCache", CACHE_TTL_MS, () => ({}));
+      await updateTtlCache("freshnessCache", FRESHNESS_TTL_MS, () => ({}));
+      await updateTtlCache("governanceCache", GOVERNANCE_TTL_MS, () => ({}));
+      await updateLookupState((state) => {
+        state.cacheStats = { hits: 0, misses: 0, since: Date.now() };
+        state.notFoundCache = {};
+      });
+      await removeStorage(profiles.map((p) => externalIndexStorageKey(p.id)));
       return { success: true };
     }
 
     case "lookupUuids": {
-      // message.uuids is now an array of { uuid, type }
+      // message.uuids is an array of { uuid, type, bucket, parent? }
       const typedUuids = (message.uuids || []).map((u) => ({
         uuid: u.uuid.toLowerCase(),
         type: u.type,
+        bucket: u.bucket || null,
+        parent: u.parent ? { uuid: u.parent.uuid.toLowerCase(), type: u.parent.type } : null,
       }));
       if (typedUuids.length === 0) return { matches: {} };
 
-      console.log("[S3 Lens BG] lookupUuids:", typedUuids);
+      log.debug("[S3 Lens BG] lookupUuids:", typedUuids);
 
-      // Check cache
-      const { cached, uncached } = await getCachedResults(typedUuids);
-
-      // Resolve uncached
-      let freshResults = {};
-      if (uncached.length > 0) {
-        const config = await getConfig();
-        if (!config.patToken) {
-          return { matches: cached, error: "No PAT token configured" };
+      const config = await getConfig();
+      const scanId = message.scanId || crypto.randomUUID();
+      const skipCache = !!message.skipCache;
+      const started = Date.now();
+      let result;
+      if (config.offlineMode) {
+        result = await lookupUuidsOffline(typedUuids, config);
+      } else if (config.profiles.length === 0) {
+        result = { matches: {}, error: "No Databricks workspace configured" };
+      } else {
+        const controller = new AbortController();
+        activeLookups.set(scanId, { controller, tabId: sender?.tab?.id });
+        try {
+          result = await lookupUuids(typedUuids, config, controller.signal, { skipCache });
+        } finally {
+          activeLookups.delete(scanId);
         }
+      }
+
+      log.debug("[S3 Lens BG] Returning", Object.keys(result.matches).length, "matches");
+      logEvent(result.error ? "warn" : "info", "lookup", {
+        scanId,
+        uuids: typedUuids.length,
+        matched: Object.keys(result.matches).length,
+        durationMs: Date.now() - started,
+        offline: config.offlineMode,
+        skipCache,
+        error: result.error,
+      });
+      return result;
+    }
+
+    case "lookupBareUuids": {
+      // message.uuids is an array of UUID strings with no type
+      const uuids = [...new Set((message.uuids || []).map((u) => u.toLowerCase()))];
+      if (uuids.length === 0) return { matches: {} };
+
+      const config = await getConfig();
+      const scanId = message.scanId || crypto.randomUUID();
+      const started = Date.now();
+      let result;
+      if (config.offlineMode) {
+        result = await lookupUuidsOffline(uuids.map((uuid) => ({ uuid })), config);
+      } else if (config.profiles.length === 0) {
+        result = { matches: {}, error: "No Databricks workspace configured" };
+      } else {
+        const controller = new AbortController();
+        activeLookups.set(scanId, { controller, tabId: sender?.tab?.id });
         try {
-          freshResults = await resolveUuids(uncached, config);
-          await updateCache(freshResults);
-        } catch (err) {
-          console.error("[S3 Lens BG] Resolution failed:", err.message);
-          return { matches: cached, error: err.message };
+          result = await lookupBareUuids(uuids, config, controller.signal);
+        } finally {
+          activeLookups.delete(scanId);
         }
       }
 
-      const allMatches = { ...cached, ...freshResults };
-      console.log("[S3 Lens BG] Returning", Object.keys(allMatches).length, "matches");
-      return { matches: allMatches };
+      logEvent(result.error ? "warn" : "info", "bare-lookup", {
+        scanId,
+        uuids: uuids.length,
+        matched: Object.keys(result.matches).length,
+        durationMs: Date.now() - started,
+        offline: config.offlineMode,
+        error: result.error,
+      });
+      return result;
+    }
+
+    case "openSettings": {
+      // The popup can only be opened programmatically on newer Chrome
+      // versions; otherwise show it as a page in a new tab
+      try {
+        await chrome.action.openPopup();
+      } catch (err) {
+        log.debug("[S3 Lens BG] Opening popup as a tab:", err.message);
+        await chrome.tabs.create({ url: chrome.runtime.getURL("popup.html") });
+      }
+      return { success: true };
+    }
+
+    case "suggestTables": {
+      const { profiles } = await getConfig();
+      const profile = findProfile(profiles, message.profileId);
+      return { names: await suggestTableNames(profile, message.query || "", { remote: !!message.remote }) };
+    }
+
+    case "locateTable": {
+      const { profiles } = await getConfig();
+      const profile = findProfile(profiles, message.profileId);
+      const missing = credentialsError(profile);
+      if (missing) throw new Error(missing);
+      return await locateTable(profile, message.fullName || "");
+    }
+
+    case "openInStorageLens": {
+      await openInStorageLens(message.fullName);
+      return { success: true };
+    }
+
+    case "getObjectDetails": {
+      const config = await getConfig();
+      const profile = workspaceForMatch(config, message.profileId);
+      if (profile.imported) {
+        // No workspace access to load details from; describe the mapping instead
+        const { profileName, workspaceUrl, exportedAt } = profile;
+        return {
+          imported: { profileName, workspaceUrl, exportedAt },
+          exploreUrl: workspaceUrl ? exploreUrl(profile, message.type, message.fullName) : null,
+        };
+      }
+      const details = await getObjectDetails(profile, message.type, message.fullName);
+      return { details, exploreUrl: exploreUrl(profile, message.type, message.fullName) };
+    }
+
+    case "openInExplorer": {
+      const profile = workspaceForMatch(await getConfig(), message.profileId);
+      if (!profile.workspaceUrl) throw new Error("The imported mapping has no workspace URL");
+      const url = exploreUrl(profile, message.type, message.fullName);
+      if (!url) throw new Error(`Catalog Explorer has no page for ${message.type}`);
+      await chrome.tabs.create({ url });
+      return { success: true };
+    }
+
+    case "exportMapping": {
+      const { profiles } = await getConfig();
+      return { mapping: await exportMapping(findProfile(profiles, message.profileId)) };
+    }
+
+    case "importMapping": {
+      return { success: true, mapping: await importMapping(message.mapping) };
+    }
+
+    case "deleteMapping": {
+      await deleteMapping(message.mappingId);
+      return { success: true };
+    }
+
+    case "setOfflineMode": {
+      await setStorage({ offlineMode: !!message.enabled });
+      return { success: true };
+    }
+
+    case "setSiteEnabled": {
+      const { siteSettings } = await getConfig();
+      siteSettings[message.site] = !!message.enabled;
+      await setStorage({ siteSettings });
+      return { success: true };
+    }
+
+    case "getOrphans": {
+      const { orphans, profiles } = await getConfig();
+      const names = Object.fromEntries(profiles.map((p) => [p.id, p.name]));
+      return {
+        orphans: Object.values(orphans)
+          .map((o) => ({ ...o, profileName: names[o.profileId] || null }))
+          .sort((a, b) => b.lastSeen - a.lastSeen),
+      };
+    }
+
+    case "clearOrphans": {
+      await updateLookupState((state) => {
+        state.orphans = {};
+      });
+      return { success: true };
+    }
+
+    case "cancelLookup": {
+      activeLookups.get(message.scanId)?.controller.abort();
+      return { success: true };
+    }
+
+    case "lookupPrefixes": {
+      // message.prefixes is an array of { path, bucket } for non-__unitystorage prefixes
+      const prefixes = (message.prefixes || []).map((p) => ({
+        path: normalizeS3Path(p.path),
+        bucket: p.bucket || null,
+      }));
+      if (prefixes.length === 0) return { matches: {} };
+
+      const config = await getConfig();
+      if (config.offlineMode) return await lookupPrefixesOffline(prefixes, config);
+      if (config.profiles.length === 0) {
+        return { matches: {}, error: "No Databricks workspace configured" };
+      }
+
+      const started = Date.now();
+      const result = await lookupPrefixes(prefixes, config);
+      log.debug("[S3 Lens BG] Returning", Object.keys(result.matches).length, "prefix matches");
+      logEvent(result.error ? "warn" : "info", "prefix-lookup", {
+        prefixes: prefixes.length,
+        matched: Object.keys(result.matches).length,
+        durationMs: Date.now() - started,
+        error: result.error,
+      });
+      return result;
     }
 
     default:
@@ -1,127 +1,740 @@
 // ============================================================
-// content.js — Content script for S3 Storage Lens pages
-// Scans for __unitystorage paths in the prefix table,
-// resolves UUIDs to catalog.schema.table names via background,
-// and injects human-readable badges inline.
+// content.js — Content script for AWS console pages
+// Scans for __unitystorage paths and external S3 prefixes in the
+// Storage Lens prefix table (and for __unitystorage paths in the
+// text of other consoles), resolves them to catalog.schema.table
+// names via background, and injects human-readable badges inline.
 // ============================================================
 
-console.log("[S3 Lens Unity] Content script loaded on:", window.location.href);
+// Console output below the log level set on the diagnostics page is dropped
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+let consoleLevel = "info";
+chrome.storage.local.get("logLevel").then(({ logLevel }) => {
+  consoleLevel = logLevel || "info";
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.logLevel) consoleLevel = changes.logLevel.newValue || "info";
+});
+
+function consoleEnabled(level) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(consoleLevel);
+}
+
+const log = {
+  debug(...args) {
+    if (consoleEnabled("debug")) console.log(...args);
+  },
+  warn(...args) {
+    if (consoleEnabled("warn")) console.warn(...args);
+  },
+  error(...args) {
+    if (consoleEnabled("error")) console.error(...args);
+  },
+};
+
+log.debug("[S3 Lens Unity] Content script loaded on:", window.location.href);
 
 const ANNOTATED_ATTR = "data-s3-lens-annotated";
-const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const EXTERNAL_LABELS = {
+  external_table: "external table",
+  external_volume: "external volume",
+  external_location: "external location",
+};
+
+// Annotated prefix spans: el -> { path, info, badge }, where path is the
+// prefix text the badge was made for. Feeds the summary panel, and lets
+// reconcileBadges spot spans Storage Lens reused for another prefix.
+const annotatedRows = new Map();
+
+// Annotated text nodes on other consoles: node -> { text, badges }, where
+// text is the node's content when its badges were made and badges maps each
+// resolved path in it to its badge
+const annotatedText = new Map();
+
+// Extension UI injected into the page; mutations inside it don't trigger scans
+const OWN_UI_SELECTOR = ".s3-lens-panel, .s3-lens-card, .s3-lens-status, .s3-lens-badge";
+
+// --------------- Sites ---------------
+
+// Consoles the content script annotates, matched against the page URL.
+// Storage Lens lists prefixes in dedicated spans. The other consoles show
+// paths inside arbitrary text (object keys, event JSON, usage breakdowns,
+// metric dimensions), so their text nodes are searched instead. Each site
+// can be switched off in the popup.
+const SITES = [
+  { id: "storage-lens", pattern: /\/s3\/(lens|storage-lens)\b/, scanner: "prefix-spans" },
+  { id: "s3", pattern: /\/s3\//, scanner: "text" },
+  { id: "cloudtrail", pattern: /\/cloudtrail(v2)?\//, scanner: "text" },
+  { id: "cost-explorer", pattern: /\/(costmanagement|cost-management)\//, scanner: "text" },
+  { id: "cloudwatch", pattern: /\/cloudwatch\//, scanner: "text" },
+];
+
+// Storage Lens prefix cells
+const PREFIX_SPAN_SELECTOR = "span.s3-util-word-break-all";
+
+let siteSettings = {}; // site id -> false when switched off
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local" || !changes.siteSettings) return;
+  siteSettings = changes.siteSettings.newValue || {};
+  scheduleScan();
+});
 
 /**
- * Parse a __unitystorage path and extract typed UUIDs.
- *
- * Path patterns seen on the page:
- *   __unitystorage/schemas/<schema_uuid>/tables/<table_uuid>  -> schema + table UUIDs
- *   __unitystorage/catalogs/<catalog_uuid>/tables/<table_uuid> -> catalog + table UUIDs
- *   __unitystorage/catalogs/<catalog_uuid>                     -> catalog UUID only
- *   __unitystorage/schemas/<schema_uuid>/tables                -> schema UUID only (no table)
- *   __unitystorage/schemas                                     -> no UUID, skip
- *   __unitystorage/catalogs                                    -> no UUID, skip
- *
- * Returns array of { uuid, type } or null.
+ * URL of the console page: the top frame's when readable, since console
+ * iframes often have unrelated paths.
  */
-function parseUnityPath(text) {
-  const idx = text.indexOf("__unitystorage/");
-  if (idx === -1) return null;
+function pageUrl() {
+  return topFrameUrl() || location.href;
+}
 
-  const pathPart = text.substring(idx);
-  const segments = pathPart.split("/");
-  // segments[0] = "__unitystorage"
-  // segments[1] = "schemas"|"catalogs"
-  // segments[2] = <uuid> (maybe)
-  // segments[3] = "tables" (maybe)
-  // segments[4] = <uuid> (maybe)
-  const results = [];
+function topFrameUrl() {
+  try {
+    return window.top.location.href;
+  } catch (err) {
+    return null; // cross-origin parent
+  }
+}
+
+/**
+ * The site this page belongs to, or null when it matches none or is
+ * switched off. Console pages navigate without reloading, so this is
+ * checked on every pass. A frame embedded in a console page it can't read
+ * only knows its own URL, so there Storage Lens is recognized by its
+ * prefix spans.
+ */
+function enabledSite() {
+  const { pathname } = new URL(pageUrl());
+  let site = SITES.find((s) => s.pattern.test(pathname));
+  if (site?.scanner !== "prefix-spans" && !topFrameUrl() && queryAllDeep(PREFIX_SPAN_SELECTOR).length > 0) {
+    site = SITES.find((s) => s.scanner === "prefix-spans");
+  }
+  return site && siteSettings[site.id] !== false ? site : null;
+}
+
+// --------------- DOM Traversal ---------------
+
+// Storage Lens may render its tables inside open shadow roots. Every query
+// for prefix spans and badges walks them, and each root found is observed
+// for mutations and given the badge stylesheet, which doesn't reach inside.
+
+const OBSERVE_OPTIONS = { childList: true, subtree: true, characterData: true };
+
+const knownShadowRoots = new WeakSet();
+
+/**
+ * The document and every open shadow root below it.
+ */
+function searchRoots() {
+  const roots = [document];
+  for (let i = 0; i < roots.length; i++) {
+    const walker = document.createTreeWalker(roots[i], NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.shadowRoot) roots.push(node.shadowRoot);
+    }
+  }
+  return roots;
+}
+
+function queryAllDeep(selector) {
+  return searchRoots().flatMap((root) => Array.from(root.querySelectorAll(selector)));
+}
+
+/**
+ * Observe shadow roots that appeared since the last pass and add the
+ * content stylesheet to them.
+ */
+function watchShadowRoots() {
+  for (const root of searchRoots()) {
+    if (root === document || knownShadowRoots.has(root)) continue;
+    knownShadowRoots.add(root);
+
+    const style = document.createElement("link");
+    style.rel = "stylesheet";
+    style.href = chrome.runtime.getURL("content.css");
+    root.appendChild(style);
+    observer.observe(root, OBSERVE_OPTIONS);
+  }
+}
+
+/**
+ * Normalize a plain S3 prefix shown on the page ("bucket/warehouse/events/"
+ * or "s3://bucket/warehouse/events/") for longest-prefix matching against
+ * external tables, external volumes and external locations.
+ *
+ * Returns { path, bucket } or null when the text doesn't look like a prefix.
+ */
+function parseExternalPath(text) {
+  const path = normalizePrefix(text);
+  if (!path || /\s/.test(path)) return null;
+  return { path, bucket: path.split("/")[0] };
+}
 
-  for (let i = 1; i < segments.length; i += 2) {
-    const kind = segments[i];
-    const uuid = segments[i + 1];
-    if (!uuid) continue;
+// Text inside these is never annotated
+const SKIP_TEXT_SELECTOR = `script, style, textarea, input, [contenteditable], ${OWN_UI_SELECTOR}`;
 
-    const cleanUuid = uuid.replace(/[^0-9a-f-]/gi, "").toLowerCase();
-    if (!UUID_PATTERN.test(cleanUuid)) continue;
+/**
+ * Find __unitystorage paths in the page's text nodes, for consoles without
+ * a dedicated prefix column. Each element is { el, parsed, path, external,
+ * text } like findUnityElements, with el the text node and text its content;
+ * a node holding several paths yields several elements. Already annotated
+ * paths are skipped.
+ */
+function findTextPaths() {
+  const elements = [];
+  const typedUuids = new Map();
 
-    let type;
-    if (kind === "tables") type = "table";
-    else if (kind === "schemas") type = "schema";
-    else if (kind === "catalogs") type = "catalog";
-    else continue;
+  for (const root of searchRoots()) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (!node.data.includes("__unitystorage/")) continue;
+      if (node.parentElement?.closest(SKIP_TEXT_SELECTOR)) continue;
 
-    results.push({ uuid: cleanUuid, type });
+      const seen = new Set(annotatedText.get(node)?.badges.keys());
+      for (const text of unityPathsInText(node.data)) {
+        const parsed = parseUnityPath(text);
+        const path = normalizePrefix(text);
+        if (!parsed || seen.has(path)) continue;
+        seen.add(path);
+        addTypedUuids(typedUuids, parsed, parseBucket(text));
+        elements.push({ el: node, parsed, path, external: false, text: node.data });
+      }
+    }
   }
 
-  return results.length > 0 ? results : null;
+  log.debug(`[S3 Lens Unity] ${elements.length} __unitystorage paths in text, ${typedUuids.size} unique UUIDs`);
+  return { elements, typedUuids, prefixes: new Map() };
 }
 
 /**
- * Find all span.s3-util-word-break-all elements containing __unitystorage paths.
- * Returns { elements, typedUuids } where typedUuids is a Map<uuid, type>.
+ * Find all span.s3-util-word-break-all elements holding __unitystorage paths
+ * or plain S3 prefixes.
+ * Each element is { el, parsed, path, external } where path is the
+ * normalized prefix text.
+ * Returns { elements, typedUuids, prefixes } where typedUuids is a
+ * Map<uuid, { uuid, type, bucket, parent }> (see addTypedUuids) and prefixes
+ * a Map<path, { path, bucket }>.
+ * Already annotated spans are skipped unless includeAnnotated is set.
  */
-function findUnityElements() {
+function findUnityElements({ includeAnnotated = false } = {}) {
   const elements = [];
-  const typedUuids = new Map(); // uuid -> type
+  const typedUuids = new Map(); // uuid -> { uuid, type, bucket, parent }
+  const prefixes = new Map(); // path -> { path, bucket }
 
-  const spans = document.querySelectorAll("span.s3-util-word-break-all");
-  console.log(`[S3 Lens Unity] Found ${spans.length} s3-util-word-break-all spans`);
+  const spans = queryAllDeep(PREFIX_SPAN_SELECTOR);
+  log.debug(`[S3 Lens Unity] Found ${spans.length} s3-util-word-break-all spans`);
 
   let unityCount = 0;
   for (const span of spans) {
-    if (span.hasAttribute(ANNOTATED_ATTR)) continue;
+    if (!includeAnnotated && annotatedRows.has(span)) continue;
 
     const text = span.textContent || "";
-    if (!text.includes("__unitystorage")) continue;
+    if (!text.includes("__unitystorage")) {
+      const external = parseExternalPath(text);
+      if (!external) continue;
+      prefixes.set(external.path, external);
+      elements.push({ el: span, parsed: null, path: external.path, external: true });
+      continue;
+    }
     unityCount++;
 
     const parsed = parseUnityPath(text);
     if (!parsed) continue;
+    addTypedUuids(typedUuids, parsed, parseBucket(text));
 
-    for (const { uuid, type } of parsed) {
-      // Keep the most specific type if UUID appears multiple times
-      const existing = typedUuids.get(uuid);
-      if (!existing || typePriority(type) > typePriority(existing)) {
-        typedUuids.set(uuid, type);
-      }
-    }
+    elements.push({ el: span, parsed, path: normalizePrefix(text), external: false });
+  }
+
+  log.debug(
+    `[S3 Lens Unity] ${unityCount} contain __unitystorage, ${typedUuids.size} unique UUIDs, ${prefixes.size} external prefixes`
+  );
+
+  return { elements, typedUuids, prefixes };
+}
+
+// --------------- Badge Enrichment ---------------
+
+// Freshness and governance add optional details to badges after lookups.
+// Both are fetched per workspace object and keyed by "<profileId>:<fullName>";
+// badges remember the info they were made from so they can be restyled
+// when the details arrive or the settings change.
+
+const badgeInfo = new WeakMap(); // badge -> the info it was created from
+
+function objectKey(info) {
+  return `${info.profileId}:${info.fullName}`;
+}
+
+/**
+ * Whether info names an object in a configured workspace, as opposed to
+ * one from an imported mapping, which has no workspace to ask.
+ */
+function inWorkspace(info) {
+  return !!info.profileId && !info.profileId.startsWith("import:");
+}
+
+/**
+ * Every badge on the page with the info it shows.
+ */
+function badgedObjects() {
+  return queryAllDeep(".s3-lens-badge")
+    .filter((badge) => badgeInfo.has(badge))
+    .map((badge) => ({ badge, info: badgeInfo.get(badge) }));
+}
+
+// --------------- Freshness ---------------
+
+// When enabled in the popup, badged tables get their last read and write
+// from the lineage system table through the background. A table with
+// neither within coldDays is cold: its badge is restyled and says when the
+// table was last read.
+
+const FRESHNESS_TYPES = ["table", "external_table"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let freshnessSettings = { enabled: false, coldDays: 90 };
+let lineageLookbackDays = 365;
+const freshness = new Map(); // key -> { lastRead, lastWrite } or { error }; null while loading
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local" || !changes.freshnessSettings) return;
+  freshnessSettings = { ...freshnessSettings, ...changes.freshnessSettings.newValue };
+  // Give failed tables another try, e.g. after a warehouse was configured
+  for (const [key, entry] of freshness) if (entry?.error) freshness.delete(key);
+  applyFreshness();
+  loadFreshness();
+});
+
+function wantsFreshness(info) {
+  return FRESHNESS_TYPES.includes(info.type) && inWorkspace(info);
+}
+
+function isCold({ lastRead, lastWrite }) {
+  const lastAccess = Math.max(lastRead || 0, lastWrite || 0);
+  return Date.now() - lastAccess > freshnessSettings.coldDays * DAY_MS;
+}
+
+function formatAge(ms) {
+  const days = Math.floor((Date.now() - ms) / DAY_MS);
+  if (days <= 0) return "today";
+  return days === 1 ? "1 day ago" : `${days} days ago`;
+}
+
+/**
+ * Hover card text for a last read or write time.
+ */
+function describeAccess(ms) {
+  return ms ? `${formatAge(ms)} (${formatTime(ms)})` : `None in the last ${lineageLookbackDays} days`;
+}
+
+/**
+ * Style a table badge as cold, or undo it, from the loaded freshness.
+ */
+function decorateFreshness(badge, info) {
+  badge.querySelector(".s3-lens-badge-age")?.remove();
+  delete badge.dataset.cold;
+  const entry = freshnessSettings.enabled ? freshness.get(objectKey(info)) : null;
+  if (!entry || entry.error || !isCold(entry)) return;
+
+  badge.dataset.cold = "true";
+  const age = document.createElement("span");
+  age.className = "s3-lens-badge-age";
+  age.textContent = entry.lastRead
+    ? ` · cold, last read ${formatAge(entry.lastRead)}`
+    : ` · cold, no reads in ${lineageLookbackDays} days`;
+  badge.insertBefore(age, badge.querySelector(".s3-lens-chips"));
+}
 
-    elements.push({ el: span, parsed });
+function applyFreshness() {
+  for (const { badge, info } of badgedObjects()) decorateFreshness(badge, info);
+}
+
+/**
+ * Fetch the freshness of badged tables that have none loaded yet, then
+ * restyle the badges. A failed table keeps its error (shown on the hover
+ * card) until the settings change, so rescans don't repeat the query.
+ */
+async function loadFreshness() {
+  if (!freshnessSettings.enabled) return;
+  const tables = new Map();
+  for (const { info } of badgedObjects()) {
+    if (!wantsFreshness(info) || freshness.has(objectKey(info))) continue;
+    tables.set(objectKey(info), { profileId: info.profileId, fullName: info.fullName });
+  }
+  if (tables.size === 0) return;
+  for (const key of tables.keys()) freshness.set(key, null);
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: "getFreshness", tables: Array.from(tables.values()) });
+  } catch (err) {
+    response = { error: err.message };
+  }
+  if (response.error) log.warn("[S3 Lens Unity] Freshness warning:", response.error);
+  if (response.lookbackDays) lineageLookbackDays = response.lookbackDays;
+  for (const key of tables.keys()) {
+    freshness.set(key, response.freshness?.[key] || { error: response.error || "No freshness data" });
+  }
+  applyFreshness();
+}
+
+// --------------- Governance ---------------
+
+// When enabled in the popup, badged catalogs, schemas and tables show their
+// owner and the chosen tags as chips, with tags inherited from the schema
+// and catalog. Badges can also be colored by the value of one tag key, e.g.
+// cost_center for chargeback, instead of by object type.
+
+const GOVERNANCE_TYPES = ["catalog", "schema", "table", "external_table"];
+
+let governanceSettings = { enabled: false, chipTagKeys: ["cost_center", "team"], colorTagKey: "" };
+const governance = new Map(); // key -> { owner, tags } or { error }; null while loading
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local" || !changes.governanceSettings) return;
+  governanceSettings = { ...governanceSettings, ...changes.governanceSettings.newValue };
+  for (const [key, entry] of governance) if (entry?.error) governance.delete(key);
+  applyGovernance();
+  loadGovernance();
+});
+
+function wantsGovernance(info) {
+  return GOVERNANCE_TYPES.includes(info.type) && inWorkspace(info);
+}
+
+/**
+ * Hue for a tag value. Derived from the value alone, so a team keeps its
+ * color across pages and sessions.
+ */
+function tagHue(value) {
+  let hash = 0;
+  for (const char of value) hash = (hash * 31 + char.codePointAt(0)) | 0;
+  return Math.abs(hash) % 360;
+}
+
+function createChip(text, title) {
+  const chip = document.createElement("span");
+  chip.className = "s3-lens-chip";
+  chip.textContent = text;
+  chip.title = title;
+  return chip;
+}
+
+/**
+ * Add owner and tag chips to a badge and color it by the chosen tag key,
+ * or undo both, from the loaded governance.
+ */
+function decorateGovernance(badge, info) {
+  badge.querySelector(".s3-lens-chips")?.remove();
+  delete badge.dataset.tagColor;
+  badge.style.removeProperty("--s3-lens-tag-hue");
+  const entry = governanceSettings.enabled ? governance.get(objectKey(info)) : null;
+  if (!entry || entry.error) return;
+
+  const { chipTagKeys, colorTagKey } = governanceSettings;
+  const chips = document.createElement("span");
+  chips.className = "s3-lens-chips";
+  if (entry.owner) chips.appendChild(createChip(`owner: ${entry.owner}`, `Owner of ${info.fullName}`));
+  for (const [key, { value, from }] of Object.entries(entry.tags)) {
+    if (chipTagKeys.length > 0 && !chipTagKeys.includes(key)) continue;
+    const source = from === info.fullName ? "" : `, inherited from ${from}`;
+    chips.appendChild(createChip(value ? `${key}: ${value}` : key, `Tag ${key}${source}`));
+  }
+  if (chips.childElementCount > 0) badge.appendChild(chips);
+
+  if (colorTagKey) {
+    const tag = entry.tags[colorTagKey];
+    badge.dataset.tagColor = tag ? "value" : "none";
+    if (tag) badge.style.setProperty("--s3-lens-tag-hue", tagHue(tag.value));
+  }
+}
+
+function applyGovernance() {
+  for (const { badge, info } of badgedObjects()) decorateGovernance(badge, info);
+}
+
+/**
+ * Fetch owners and tags of badged objects that have none loaded yet, then
+ * add the chips. Like freshness, failures stick until the settings change.
+ */
+async function loadGovernance() {
+  if (!governanceSettings.enabled) return;
+  const objects = new Map();
+  for (const { info } of badgedObjects()) {
+    if (!wantsGovernance(info) || governance.has(objectKey(info))) continue;
+    objects.set(objectKey(info), { profileId: info.profileId, type: info.type, fullName: info.fullName });
+  }
+  if (objects.size === 0) return;
+  for (const key of objects.keys()) governance.set(key, null);
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: "getGovernance", objects: Array.from(objects.values()) });
+  } catch (err) {
+    response = { error: err.message };
+  }
+  if (response.error) log.warn("[S3 Lens Unity] Governance warning:", response.error);
+  for (const key of objects.keys()) {
+    governance.set(key, response.governance?.[key] || { error: response.error || "No owner or tag data" });
+  }
+  applyGovernance();
+}
+
+// --------------- Hover Card ---------------
+
+const CARD_HIDE_DELAY_MS = 250;
+const detailsRequests = new Map(); // "<profileId>:<type>:<fullName>" -> Promise<response>
+let card = null;
+let cardHideTimer = null;
+
+function typeLabel(type) {
+  return EXTERNAL_LABELS[type] || type;
+}
+
+function loadDetails(info) {
+  const key = `${info.profileId}:${info.type}:${info.fullName}`;
+  if (!detailsRequests.has(key)) {
+    const request = chrome.runtime
+      .sendMessage({
+        action: "getObjectDetails",
+        profileId: info.profileId,
+        type: info.type,
+        fullName: info.fullName,
+      })
+      .catch((err) => ({ error: err.message }))
+      .then((response) => {
+        // Let a failed load be retried on the next hover
+        if (!response || response.error) detailsRequests.delete(key);
+        return response;
+      });
+    detailsRequests.set(key, request);
   }
+  return detailsRequests.get(key);
+}
+
+function getCard() {
+  if (card) return card;
+  card = document.createElement("div");
+  card.className = "s3-lens-card";
+  card.addEventListener("mouseenter", () => clearTimeout(cardHideTimer));
+  card.addEventListener("mouseleave", hideCardSoon);
+  document.body.appendChild(card);
+  return card;
+}
 
-  console.log(
-    `[S3 Lens Unity] ${unityCount} contain __unitystorage, ${elements.length} have resolvable UUIDs, ${typedUuids.size} unique UUIDs`
+function formatTime(ms) {
+  return ms ? new Date(ms).toLocaleString() : "—";
+}
+
+/**
+ * Last read and write rows for a table's hover card, once loaded.
+ */
+function freshnessRows(info) {
+  const entry = freshnessSettings.enabled && wantsFreshness(info) ? freshness.get(objectKey(info)) : null;
+  if (!entry) return [];
+  if (entry.error) return [["Freshness", entry.error]];
+  return [
+    ["Last read", describeAccess(entry.lastRead)],
+    ["Last write", describeAccess(entry.lastWrite)],
+  ];
+}
+
+/**
+ * Effective tags row for an object's hover card, once loaded.
+ */
+function governanceRows(info) {
+  const entry = governanceSettings.enabled && wantsGovernance(info) ? governance.get(objectKey(info)) : null;
+  if (!entry) return [];
+  if (entry.error) return [["Tags", entry.error]];
+  const tags = Object.entries(entry.tags).map(
+    ([key, { value, from }]) => `${key}=${value}${from === info.fullName ? "" : ` (from ${from})`}`
   );
+  return [["Tags", tags.join(", ") || "None"]];
+}
+
+function renderCard(info, response) {
+  const el = getCard();
+  el.replaceChildren();
+
+  const title = document.createElement("div");
+  title.className = "s3-lens-card-title";
+  title.textContent = info.fullName;
+  const subtitle = document.createElement("div");
+  subtitle.className = "s3-lens-card-type";
+  subtitle.textContent = `Unity Catalog ${typeLabel(info.type)}`;
+  el.append(title, subtitle);
+
+  if (!response) {
+    const loading = document.createElement("div");
+    loading.className = "s3-lens-card-note";
+    loading.textContent = "Loading details…";
+    el.appendChild(loading);
+  } else if (response.error) {
+    const error = document.createElement("div");
+    error.className = "s3-lens-card-note error";
+    error.textContent = response.error;
+    el.appendChild(error);
+  } else if (response.imported) {
+    const { profileName, exportedAt } = response.imported;
+    const note = document.createElement("div");
+    note.className = "s3-lens-card-note";
+    note.textContent =
+      `From an imported mapping of ${profileName}` +
+      (exportedAt ? `, exported ${formatTime(exportedAt)}` : "");
+    el.appendChild(note);
+  } else {
+    const { details } = response;
+    const rows = [
+      ["Type", details.objectType],
+      ["Format", details.dataSourceFormat],
+      ["Owner", details.owner],
+      ["Created", details.createdAt && formatTime(details.createdAt)],
+      ["Last altered", details.updatedAt && formatTime(details.updatedAt)],
+      ...freshnessRows(info),
+      ...governanceRows(info),
+      ["URL", details.url],
+      ["Comment", details.comment],
+    ];
+    const list = document.createElement("dl");
+    for (const [label, value] of rows) {
+      if (!value) continue;
+      const dt = document.createElement("dt");
+      dt.textContent = label;
+      const dd = document.createElement("dd");
+      dd.textContent = value;
+      list.append(dt, dd);
+    }
+    el.appendChild(list);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "s3-lens-card-actions";
+  const copyBtn = document.createElement("button");
+  copyBtn.type = "button";
+  copyBtn.textContent = "Copy full name";
+  copyBtn.addEventListener("click", async () => {
+    await navigator.clipboard.writeText(info.fullName);
+    copyBtn.textContent = "Copied";
+  });
+  actions.appendChild(copyBtn);
+  if (response?.exploreUrl) {
+    const hint = document.createElement("span");
+    hint.textContent = "Click the badge to open in Catalog Explorer";
+    actions.appendChild(hint);
+  }
+  el.appendChild(actions);
+}
+
+function showCard(badge, info) {
+  clearTimeout(cardHideTimer);
+  const key = `${info.profileId}:${info.type}:${info.fullName}`;
+  const el = getCard();
+  el.dataset.for = key;
+  renderCard(info, null);
+
+  const rect = badge.getBoundingClientRect();
+  el.style.top = `${rect.bottom + window.scrollY + 4}px`;
+  el.style.left = `${rect.left + window.scrollX}px`;
+  el.classList.add("visible");
+
+  loadDetails(info).then((response) => {
+    if (el.dataset.for === key) renderCard(info, response);
+  });
+}
 
-  return { elements, typedUuids };
+function hideCardSoon() {
+  clearTimeout(cardHideTimer);
+  cardHideTimer = setTimeout(() => card?.classList.remove("visible"), CARD_HIDE_DELAY_MS);
 }
 
+// --------------- Badges ---------------
+
 function createBadge(info) {
   const badge = document.createElement("span");
   badge.className = "s3-lens-badge";
   badge.dataset.type = info.type;
-  badge.textContent = info.fullName;
-  badge.title = `Unity Catalog ${info.type}: ${info.fullName}`;
+
+  if (info.type === "orphan") {
+    return createOrphanBadge(badge, info);
+  }
+
+  const label = EXTERNAL_LABELS[info.type];
+  if (info.type === "external_location") {
+    badge.textContent = `${info.exact ? "" : "inside "}external location ${info.fullName}`;
+  } else if (label) {
+    badge.textContent = `${info.fullName} · ${label}`;
+  } else {
+    badge.textContent = info.fullName;
+  }
+
+  if (!info.profileId) {
+    badge.title = `Unity Catalog ${typeLabel(info.type)}: ${info.fullName}`;
+    return badge;
+  }
+
+  badgeInfo.set(badge, info);
+  decorateFreshness(badge, info);
+  decorateGovernance(badge, info);
+
+  badge.addEventListener("mouseenter", () => showCard(badge, info));
+  badge.addEventListener("mouseleave", hideCardSoon);
+  if (info.type !== "external_location") {
+    badge.dataset.explorable = "true";
+    badge.addEventListener("click", (event) => {
+      // Keep Storage Lens from treating the click as a drill-down
+      event.preventDefault();
+      event.stopPropagation();
+      chrome.runtime
+        .sendMessage({
+          action: "openInExplorer",
+          profileId: info.profileId,
+          type: info.type,
+          fullName: info.fullName,
+        })
+        .catch(() => {});
+    });
+  }
+  return badge;
+}
+
+/**
+ * Badge for a table, volume or model UUID that no workspace knows: named
+ * when it is a recently dropped table, otherwise a plain orphan marker.
+ */
+function createOrphanBadge(badge, info) {
+  if (info.dropped) {
+    const droppedAt = info.dropped.droppedAt ? new Date(info.dropped.droppedAt).toLocaleDateString() : "?";
+    badge.textContent = `dropped ${info.dropped.fullName} · ${droppedAt}`;
+    badge.title =
+      `Dropped ${info.objectType} ${info.dropped.fullName} (dropped at ${info.dropped.droppedAt || "unknown"}). ` +
+      "Its storage is still billed until it is purged.";
+  } else {
+    badge.textContent = `orphan ${info.objectType}`;
+    badge.title =
+      `No Unity Catalog ${info.objectType} has UUID ${info.uuid}. ` +
+      "It was most likely dropped and its storage is still billed.";
+  }
   return badge;
 }
 
 /**
- * Inject badges next to resolved UUIDs in the found elements.
+ * Inject badges next to resolved elements. matchMap holds both resolved
+ * UUIDs (uuid -> info) and matched external prefixes (path -> info).
  */
 function annotateElements(elements, matchMap) {
   let annotatedCount = 0;
 
-  for (const { el, parsed } of elements) {
-    if (el.hasAttribute(ANNOTATED_ATTR)) continue;
+  for (const { el, parsed, path, external } of elements) {
+    // Skip spans annotated meanwhile, and spans reused for another prefix
+    // while the lookup ran; the next scan picks those up
+    if (annotatedRows.has(el) || !el.isConnected) continue;
+    if (normalizePrefix(el.textContent || "") !== path) continue;
 
     // Find the best (most specific) resolved match.
-    let bestMatch = null;
-    for (const { uuid } of parsed) {
-      const info = matchMap[uuid];
-      if (!info) continue;
-      if (!bestMatch || typePriority(info.type) > typePriority(bestMatch.type)) {
-        bestMatch = info;
-      }
+    let bestMatch = bestUuidMatch(parsed, matchMap);
+    if (!bestMatch && external) {
+      bestMatch = matchMap[path] || null;
     }
 
     if (bestMatch) {
@@ -139,81 +752,853 @@ function annotateElements(elements, matchMap) {
         el.parentNode.insertBefore(badge, el.nextSibling);
       }
 
-      el.setAttribute(ANNOTATED_ATTR, "true");
+      badge.dataset.path = path;
+      el.setAttribute(ANNOTATED_ATTR, path);
+      annotatedRows.set(el, { path, info: bestMatch, badge });
       annotatedCount++;
     }
   }
 
-  console.log(`[S3 Lens Unity] Annotated ${annotatedCount} elements`);
+  log.debug(`[S3 Lens Unity] Annotated ${annotatedCount} elements`);
 }
 
-function typePriority(type) {
-  if (type === "table") return 3;
-  if (type === "schema") return 2;
-  if (type === "catalog") return 1;
-  return 0;
+/**
+ * Badge text-node paths: each resolved path gets a badge right after the
+ * node, in the order the paths appear.
+ */
+function annotateTextPaths(elements, matchMap) {
+  let annotatedCount = 0;
+
+  const changed = new Set();
+  for (const { el: node, parsed, path, text } of elements) {
+    // Skip nodes removed or rewritten while the lookup ran
+    if (!node.isConnected || !node.parentNode || node.data !== text) continue;
+    const match = bestUuidMatch(parsed, matchMap);
+    if (!match) continue;
+
+    if (!annotatedText.has(node)) annotatedText.set(node, { text, badges: new Map() });
+    annotatedText.get(node).badges.set(path, createBadge(match));
+    changed.add(node);
+    annotatedCount++;
+  }
+
+  // Paths resolved by a later scan go between the badges of earlier ones
+  for (const node of changed) {
+    const { badges } = annotatedText.get(node);
+    let after = node;
+    for (const path of new Set(unityPathsInText(node.data).map(normalizePrefix))) {
+      const badge = badges.get(path);
+      if (!badge) continue;
+      if (after.nextSibling !== badge) node.parentNode.insertBefore(badge, after.nextSibling);
+      after = badge;
+    }
+  }
+
+  log.debug(`[S3 Lens Unity] Annotated ${annotatedCount} paths in text`);
 }
 
 /**
- * Main scan: find unity paths, resolve UUIDs, annotate.
+ * Remove badges that no longer describe the prefix next to them: their
+ * span left the page or now shows another prefix (Storage Lens reuses row
+ * nodes when it paginates, sorts or drills down), the badge itself was
+ * detached, or it is a copy no span owns. Affected spans are annotated
+ * afresh by the next scan.
  */
-let scanInProgress = false;
+function reconcileBadges() {
+  const owned = new Set();
+  let removed = 0;
+  for (const [el, entry] of annotatedRows) {
+    const current = el.isConnected ? normalizePrefix(el.textContent || "") : null;
+    if (current === entry.path && entry.badge.isConnected) {
+      owned.add(entry.badge);
+      continue;
+    }
+    entry.badge.remove();
+    el.removeAttribute(ANNOTATED_ATTR);
+    annotatedRows.delete(el);
+    removed++;
+  }
 
-async function scan() {
-  if (scanInProgress) return;
-  scanInProgress = true;
+  for (const [node, entry] of annotatedText) {
+    if (node.isConnected && node.data === entry.text && [...entry.badges.values()].every((b) => b.isConnected)) {
+      entry.badges.forEach((b) => owned.add(b));
+      continue;
+    }
+    entry.badges.forEach((b) => b.remove());
+    annotatedText.delete(node);
+    removed++;
+  }
 
-  try {
-    const { elements, typedUuids } = findUnityElements();
-    if (elements.length === 0 || typedUuids.size === 0) {
-      console.log("[S3 Lens Unity] No unresolved unity elements found, skipping lookup");
-      return;
+  for (const badge of queryAllDeep(".s3-lens-badge")) {
+    if (owned.has(badge)) continue;
+    badge.remove();
+    removed++;
+  }
+  if (removed > 0) log.debug(`[S3 Lens Unity] Removed ${removed} stale badges`);
+}
+
+/**
+ * Remove every badge, e.g. after the site was switched off or the console
+ * navigated to a page that isn't annotated.
+ */
+function clearAnnotations() {
+  if (annotatedRows.size === 0 && annotatedText.size === 0) return;
+  for (const [el, { badge }] of annotatedRows) {
+    badge.remove();
+    el.removeAttribute(ANNOTATED_ATTR);
+  }
+  for (const { badges } of annotatedText.values()) badges.forEach((b) => b.remove());
+  annotatedRows.clear();
+  annotatedText.clear();
+  Object.assign(scanStatus, { unresolved: 0, error: null });
+  updateSummaryPanel();
+  renderStatus();
+}
+
+// --------------- Summary Panel ---------------
+
+// Rolls up the metric cells of every annotated Storage Lens row by resolved
+// catalog, schema and table. Storage Lens lists nested prefixes (a schema
+// directory and the tables under it), so within each group only rows that
+// aren't below another row of the same group are summed.
+
+const BYTE_UNITS = ["B", "KB", "MB", "GB", "TB", "PB", "EB"];
+const COUNT_SUFFIXES = { K: 1e3, M: 1e6, B: 1e9, T: 1e12 };
+const LEVELS = ["catalog", "schema", "table"];
+
+const panelState = { level: "schema", sortKey: null, sortDir: -1, collapsed: false };
+let panel = null;
+let panelSignature = "";
+
+/**
+ * Parse a metric cell. Returns { kind: "bytes"|"count", value } or null for
+ * anything that can't be summed (percentages, dates, blanks).
+ */
+function parseMetric(text, header) {
+  const clean = text.trim().replace(/,/g, "");
+  if (!clean || clean.includes("%")) return null;
+
+  const countLike = /count|objects|requests|number/i.test(header);
+  const bytes = clean.match(/^(\d+(?:\.\d+)?)\s*([KMGTPE]?i?B)$/i);
+  if (bytes && !countLike) {
+    const unit = bytes[2].toUpperCase().replace("IB", "B");
+    const power = BYTE_UNITS.indexOf(unit);
+    if (power !== -1) return { kind: "bytes", value: parseFloat(bytes[1]) * 1024 ** power };
+  }
+
+  const count = clean.match(/^(\d+(?:\.\d+)?)\s*([KMBT])?$/i);
+  if (count) {
+    const factor = count[2] ? COUNT_SUFFIXES[count[2].toUpperCase()] : 1;
+    return { kind: "count", value: parseFloat(count[1]) * factor };
+  }
+  return null;
+}
+
+function formatMetric(kind, value) {
+  if (kind === "count") return Math.round(value).toLocaleString();
+  let power = 0;
+  while (value >= 1024 && power < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    power++;
+  }
+  return `${value.toFixed(power === 0 ? 0 : 2)} ${BYTE_UNITS[power]}`;
+}
+
+/**
+ * Read the numeric metric cells of the row holding a prefix span, keyed by
+ * column header. Handles both <table> markup and ARIA grids.
+ */
+function readRowMetrics(el) {
+  const row = el.closest("tr, [role='row']");
+  const table = row && row.closest("table, [role='grid'], [role='table']");
+  if (!table) return {};
+
+  const headers = Array.from(table.querySelectorAll("thead th, [role='columnheader']")).map(
+    (th) => th.textContent.trim()
+  );
+  const cells = Array.from(row.querySelectorAll("td, [role='cell'], [role='gridcell']"));
+
+  const metrics = {};
+  cells.forEach((cell, i) => {
+    if (cell.contains(el)) return;
+    const header = headers[i] || `Column ${i + 1}`;
+    const metric = parseMetric(cell.textContent || "", header);
+    if (metric) metrics[header] = metric;
+  });
+  return metrics;
+}
+
+/**
+ * Catalog / schema / table keys a resolved row rolls up into. Orphans and
+ * external locations get a pseudo-catalog of their own.
+ */
+function groupKeys(info) {
+  if (info.type === "orphan") return { catalog: "(orphaned storage)", schema: null, table: null };
+  if (info.type === "external_location") {
+    return { catalog: `(external location ${info.fullName})`, schema: null, table: null };
+  }
+  const [catalog, schema, table] = info.fullName.split(".");
+  return {
+    catalog,
+    schema: schema ? `${catalog}.${schema}` : null,
+    table: table ? info.fullName : null,
+  };
+}
+
+function isBelow(path, ancestor) {
+  return path !== ancestor && path.startsWith(`${ancestor}/`);
+}
+
+/**
+ * Aggregate annotated rows still on the page at one level.
+ * Returns { columns: [{ header, kind }], groups: [{ name, prefixes, totals }] }.
+ */
+function rollUp(level) {
+  const rowsByGroup = new Map(); // group name -> [{ path, metrics }]
+  const columns = new Map(); // header -> kind
+
+  for (const [el, { path, info }] of annotatedRows) {
+    if (!el.isConnected) {
+      annotatedRows.delete(el);
+      continue;
     }
+    const name = groupKeys(info)[level];
+    if (!name || !matchesFilter(info)) continue;
 
-    // Convert Map to array of {uuid, type} for the background message
-    const uuidsWithTypes = Array.from(typedUuids.entries()).map(
-      ([uuid, type]) => ({ uuid, type })
-    );
+    const metrics = readRowMetrics(el);
+    for (const [header, { kind }] of Object.entries(metrics)) columns.set(header, kind);
+    if (!rowsByGroup.has(name)) rowsByGroup.set(name, []);
+    rowsByGroup.get(name).push({ path, metrics });
+  }
 
-    console.log(`[S3 Lens Unity] Sending ${uuidsWithTypes.length} typed UUIDs to background`);
+  const groups = [];
+  for (const [name, rows] of rowsByGroup) {
+    // Nested prefixes are already included in their ancestor's totals
+    const topRows = rows.filter((r) => !rows.some((other) => isBelow(r.path, other.path)));
+    const totals = {};
+    for (const { metrics } of topRows) {
+      for (const [header, { value }] of Object.entries(metrics)) {
+        totals[header] = (totals[header] || 0) + value;
+      }
+    }
+    groups.push({ name, prefixes: topRows.length, totals });
+  }
 
-    const response = await chrome.runtime.sendMessage({
-      action: "lookupUuids",
-      uuids: uuidsWithTypes,
+  return {
+    columns: Array.from(columns, ([header, kind]) => ({ header, kind })),
+    groups,
+  };
+}
+
+function getPanel() {
+  if (panel) return panel;
+  panel = document.createElement("div");
+  panel.className = "s3-lens-panel";
+
+  const header = document.createElement("div");
+  header.className = "s3-lens-panel-header";
+  const title = document.createElement("span");
+  title.className = "s3-lens-panel-title";
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "s3-lens-panel-toggle";
+  header.append(title, toggle);
+  header.addEventListener("click", () => {
+    panelState.collapsed = !panelState.collapsed;
+    updateSummaryPanel(true);
+  });
+
+  const body = document.createElement("div");
+  body.className = "s3-lens-panel-body";
+
+  // The filter bar lives outside the body so re-renders keep its focus
+  panel.append(header, createFilterBar(), body);
+  document.body.appendChild(panel);
+  return panel;
+}
+
+function renderPanel(data) {
+  const el = getPanel();
+  el.classList.toggle("collapsed", panelState.collapsed);
+  el.querySelector(".s3-lens-panel-title").textContent = filterActive()
+    ? "Unity Catalog totals (filtered)"
+    : "Unity Catalog totals";
+  const toggle = el.querySelector(".s3-lens-panel-toggle");
+  toggle.textContent = panelState.collapsed ? "▸" : "▾";
+  toggle.title = panelState.collapsed ? "Expand" : "Collapse";
+
+  const body = el.querySelector(".s3-lens-panel-body");
+  body.replaceChildren();
+  if (panelState.collapsed) return;
+
+  const tabs = document.createElement("div");
+  tabs.className = "s3-lens-panel-tabs";
+  for (const level of LEVELS) {
+    const tab = document.createElement("button");
+    tab.type = "button";
+    tab.textContent = level;
+    tab.classList.toggle("active", level === panelState.level);
+    tab.addEventListener("click", () => {
+      panelState.level = level;
+      updateSummaryPanel(true);
     });
+    tabs.appendChild(tab);
+  }
+  for (const format of EXPORT_FORMATS) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "s3-lens-panel-export";
+    button.textContent = `Export ${format.toUpperCase()}`;
+    button.addEventListener("click", () => exportRows(format));
+    tabs.appendChild(button);
+  }
+  body.appendChild(tabs);
 
-    console.log("[S3 Lens Unity] Background response:", response);
+  const { columns, groups } = data;
+  const sortKey = panelState.sortKey || columns[0]?.header || "name";
+  groups.sort((a, b) => {
+    const av = sortKey === "name" ? a.name : (a.totals[sortKey] || 0);
+    const bv = sortKey === "name" ? b.name : (b.totals[sortKey] || 0);
+    return (av < bv ? -1 : av > bv ? 1 : 0) * panelState.sortDir;
+  });
 
-    if (response && response.matches) {
-      const matchCount = Object.keys(response.matches).length;
-      console.log(`[S3 Lens Unity] Got ${matchCount} resolved matches`);
-      annotateElements(elements, response.matches);
+  const table = document.createElement("table");
+  const headRow = document.createElement("tr");
+  for (const { key, label } of [
+    { key: "name", label: panelState.level },
+    { key: "prefixes", label: "Prefixes" },
+    ...columns.map((c) => ({ key: c.header, label: c.header })),
+  ]) {
+    const th = document.createElement("th");
+    th.textContent = key === sortKey ? `${label} ${panelState.sortDir > 0 ? "▲" : "▼"}` : label;
+    if (key !== "prefixes") {
+      th.addEventListener("click", () => {
+        panelState.sortDir = key === sortKey ? -panelState.sortDir : key === "name" ? 1 : -1;
+        panelState.sortKey = key;
+        updateSummaryPanel(true);
+      });
     }
+    headRow.appendChild(th);
+  }
+  table.createTHead().appendChild(headRow);
 
-    if (response && response.error) {
-      console.warn("[S3 Lens Unity] Lookup warning:", response.error);
+  const tbody = table.createTBody();
+  for (const group of groups) {
+    const tr = tbody.insertRow();
+    tr.insertCell().textContent = group.name;
+    tr.insertCell().textContent = group.prefixes;
+    for (const { header, kind } of columns) {
+      tr.insertCell().textContent = header in group.totals ? formatMetric(kind, group.totals[header]) : "—";
     }
+  }
+  if (groups.length === 0) {
+    const td = tbody.insertRow().insertCell();
+    td.colSpan = columns.length + 2;
+    td.textContent = "No prefixes match the filter";
+  }
+  body.appendChild(table);
+}
+
+/**
+ * Recompute the rollup and re-render the panel when the totals changed (or
+ * always, when force is set after a UI interaction).
+ */
+function updateSummaryPanel(force = false) {
+  const data = rollUp(panelState.level);
+  // Keep the panel while anything is annotated, so a filter that matches
+  // nothing can still be edited
+  if (annotatedRows.size === 0) {
+    panel?.remove();
+    panel = null;
+    panelSignature = "";
+    return;
+  }
+
+  const signature = JSON.stringify(data);
+  if (!force && signature === panelSignature && panel) return;
+  panelSignature = signature;
+  renderPanel(data);
+}
+
+// --------------- Filter ---------------
+
+// Hides or highlights prefix rows by resolved name and badge type. Rows are
+// matched through annotatedRows, i.e. the match map annotateElements used,
+// and the filter is re-applied after every scan so it survives re-renders.
+
+const FILTER_TYPES = [
+  "table",
+  "volume",
+  "model",
+  "schema",
+  "catalog",
+  "external_table",
+  "external_volume",
+  "external_location",
+  "orphan",
+];
+const FILTER_DEBOUNCE_MS = 200;
+
+const filterState = { pattern: "", type: "", mode: "hide" };
+let filterRegExp = null;
+let filterTimer = null;
+
+function filterActive() {
+  return Boolean(filterState.pattern || filterState.type);
+}
+
+/**
+ * Compile a name pattern: * matches anything, and a pattern also matches
+ * everything below it, so "finance" covers catalog finance and its schemas
+ * and tables. Case-insensitive.
+ */
+function compileFilterPattern(pattern) {
+  if (!pattern) return null;
+  const body = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}(\\..*)?$`, "i");
+}
+
+/**
+ * Whether a resolved row passes the filter. Unresolved rows only pass when
+ * no filter is set.
+ */
+function matchesFilter(info) {
+  if (!filterActive()) return true;
+  if (!info) return false;
+  if (filterState.type && info.type !== filterState.type) return false;
+  if (!filterRegExp) return true;
+  const name = info.type === "orphan" ? info.dropped?.fullName : info.fullName;
+  return Boolean(name) && filterRegExp.test(name);
+}
+
+/**
+ * Toggle the hide / highlight classes on every prefix row on the page.
+ */
+function applyFilter() {
+  const active = filterActive();
+  const { elements } = findUnityElements({ includeAnnotated: true });
+
+  let matched = 0;
+  for (const { el } of elements) {
+    const row = el.closest("tr, [role='row']") || el;
+    const match = active && matchesFilter(annotatedRows.get(el)?.info);
+    if (match) matched++;
+    row.classList.toggle("s3-lens-filtered-out", active && filterState.mode === "hide" && !match);
+    row.classList.toggle("s3-lens-filter-match", active && filterState.mode === "highlight" && match);
+  }
+
+  const count = panel?.querySelector(".s3-lens-filter-count");
+  if (count) count.textContent = active ? `${matched} of ${elements.length}` : "";
+}
+
+function onFilterChange() {
+  filterRegExp = compileFilterPattern(filterState.pattern);
+  applyFilter();
+  updateSummaryPanel(true);
+}
+
+function createFilterBar() {
+  const bar = document.createElement("div");
+  bar.className = "s3-lens-panel-filter";
+
+  const input = document.createElement("input");
+  input.type = "search";
+  input.placeholder = "Filter: finance, *.sales.*, *orders*";
+  input.value = filterState.pattern;
+  input.addEventListener("input", () => {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(() => {
+      filterState.pattern = input.value.trim();
+      onFilterChange();
+    }, FILTER_DEBOUNCE_MS);
+  });
+  // Keep the console's own keyboard shortcuts out of the way while typing
+  input.addEventListener("keydown", (event) => event.stopPropagation());
+
+  const type = document.createElement("select");
+  type.add(new Option("Any type", ""));
+  for (const t of FILTER_TYPES) type.add(new Option(EXTERNAL_LABELS[t] || t, t));
+  type.value = filterState.type;
+  type.addEventListener("change", () => {
+    filterState.type = type.value;
+    onFilterChange();
+  });
+
+  const mode = document.createElement("select");
+  mode.add(new Option("Hide others", "hide"));
+  mode.add(new Option("Highlight", "highlight"));
+  mode.value = filterState.mode;
+  mode.addEventListener("change", () => {
+    filterState.mode = mode.value;
+    onFilterChange();
+  });
+
+  const count = document.createElement("span");
+  count.className = "s3-lens-filter-count";
+
+  bar.append(input, type, mode, count);
+  return bar;
+}
+
+// --------------- Storage Lens Handoff ---------------
+
+// The popup's table search can open this dashboard for a table. It leaves
+// the table name in storage; the frame that shows the table's prefix rows
+// highlights them with the filter above. This doesn't drill down: until the
+// user reaches those rows, the status chip says what is being looked for.
+// Pages with prefix rows remember their URL so the popup knows which
+// dashboard to open.
+
+const LENS_FILTER_TTL_MS = 2 * 60 * 1000; // a pending filter is dropped after this
+
+let pendingLensFilter = null; // { pattern, setAt } of the table to highlight once its rows show up
+let rememberedDashboardUrl = null;
+
+chrome.storage.local.get("pendingLensFilter").then(({ pendingLensFilter: pending }) => {
+  if (pending && Date.now() - pending.setAt < LENS_FILTER_TTL_MS) pendingLensFilter = pending;
+});
+
+function applyPendingLensFilter() {
+  if (!pendingLensFilter || annotatedRows.size === 0) return;
+  const { pattern, setAt } = pendingLensFilter;
+  const regExp = compileFilterPattern(pattern);
+  const first = [...annotatedRows].find(([el, { info }]) => el.isConnected && regExp.test(info.fullName || ""));
+  if (!first) {
+    if (Date.now() - setAt < LENS_FILTER_TTL_MS) {
+      scanStatus.note = `Looking for ${pattern}: drill down to the level that lists its prefixes`;
+    } else {
+      scanStatus.note = `No prefix rows of ${pattern} found`;
+      pendingLensFilter = null;
+      chrome.storage.local.remove("pendingLensFilter");
+    }
+    return;
+  }
+
+  filterState.pattern = pattern;
+  filterState.mode = "highlight";
+  pendingLensFilter = null;
+  chrome.storage.local.remove("pendingLensFilter");
+  panel?.querySelector(".s3-lens-panel-filter")?.replaceWith(createFilterBar());
+  onFilterChange();
+  first[0].scrollIntoView({ block: "center" });
+}
+
+function rememberLensDashboard() {
+  const url = pageUrl();
+  if (url === rememberedDashboardUrl) return;
+  rememberedDashboardUrl = url;
+  chrome.storage.local.set({ lensDashboardUrl: url });
+}
+
+// --------------- Export ---------------
+
+const EXPORT_FORMATS = ["csv", "json"];
+const EXPORT_COLUMNS = ["path", "bucket", "status", "type", "catalog", "schema", "table", "full_name"];
+
+/**
+ * One record per prefix row on the page, resolved or not. Metric cells are
+ * exported as numbers (bytes for storage columns) keyed by column header.
+ */
+function collectExportRows() {
+  const { elements } = findUnityElements({ includeAnnotated: true });
+
+  return elements.map(({ el, path, external }) => {
+    const metrics = {};
+    for (const [header, { value }] of Object.entries(readRowMetrics(el))) {
+      metrics[header] = value;
+    }
+    return {
+      path,
+      bucket: external ? path.split("/")[0] : parseBucket(path),
+      ...describeMatch(annotatedRows.get(el)?.info),
+      metrics,
+    };
+  });
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const metricHeaders = [...new Set(rows.flatMap((r) => Object.keys(r.metrics)))];
+  const lines = [[...EXPORT_COLUMNS, ...metricHeaders].map(csvField).join(",")];
+  for (const row of rows) {
+    const fields = [...EXPORT_COLUMNS.map((c) => row[c]), ...metricHeaders.map((h) => row.metrics[h])];
+    lines.push(fields.map(csvField).join(","));
+  }
+  return lines.join("\r\n");
+}
+
+/**
+ * Download the page's prefix rows as CSV or JSON. Returns the row count.
+ */
+function exportRows(format) {
+  const rows = collectExportRows();
+  const content = format === "json" ? JSON.stringify(rows, null, 2) : toCsv(rows);
+  const blob = new Blob([content], { type: format === "json" ? "application/json" : "text/csv" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `s3-lens-unity-${new Date().toISOString().slice(0, 10)}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  log.debug(`[S3 Lens Unity] Exported ${rows.length} rows as ${format.toUpperCase()}`);
+  return rows.length;
+}
+
+// --------------- Status ---------------
+
+// A chip in the bottom-left corner counts resolved, unresolved and pending
+// rows and shows why a lookup failed or what it is waiting on, instead of
+// leaving the rows silently unannotated.
+
+const scanStatus = {
+  pending: 0, // rows of the lookup in flight
+  unresolved: 0, // rows the last lookup left without a badge
+  error: null, // error of the last lookup
+  note: null, // transient progress note, e.g. a warehouse starting
+};
+
+function statusButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "s3-lens-status-btn";
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+function renderStatus() {
+  let chip = document.querySelector(".s3-lens-status");
+  const resolved =
+    [...annotatedRows.keys()].filter((el) => el.isConnected).length +
+    [...annotatedText.values()].reduce((n, { badges }) => n + badges.size, 0);
+  const { pending, unresolved, error, note } = scanStatus;
+  if (resolved + unresolved + pending === 0 && !error) {
+    chip?.remove();
+    return;
+  }
+
+  if (!chip) {
+    chip = document.createElement("div");
+    chip.className = "s3-lens-status";
+    document.body.appendChild(chip);
+  }
+  chip.dataset.kind = error ? "error" : "info";
+
+  const counts = document.createElement("div");
+  counts.className = "s3-lens-status-counts";
+  const parts = [`${resolved} resolved`, `${unresolved} unresolved`];
+  if (pending > 0) parts.push(`${pending} pending`);
+  counts.textContent = `S3 Lens · ${parts.join(" · ")}`;
+
+  const children = [counts];
+  const text = note || error;
+  if (text) {
+    const message = document.createElement("div");
+    message.className = "s3-lens-status-note";
+    message.textContent = text;
+    children.push(message);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "s3-lens-status-actions";
+  actions.append(
+    statusButton("Settings", () => chrome.runtime.sendMessage({ action: "openSettings" })),
+    statusButton("Retry now", () => scan({ skipCache: true }))
+  );
+  actions.lastChild.disabled = pending > 0;
+  children.push(actions);
+
+  chip.replaceChildren(...children);
+}
+
+function handleLookupStatus(message) {
+  if (!scanInProgress) return;
+  if (message.status === "warehouse-starting") {
+    scanStatus.note = `SQL warehouse "${message.warehouse}" starting…`;
+  } else if (message.status === "warehouse-ready") {
+    scanStatus.note = null;
+  }
+  renderStatus();
+}
+
+/**
+ * Main scan: find unity paths and external prefixes, resolve them, annotate.
+ * With skipCache (the status chip's retry), the background queries every
+ * unresolved UUID again instead of answering from its cache.
+ */
+let scanInProgress = false;
+let rescanRequested = false; // the page changed while a scan was running
+let currentScanId = null; // lets the background cancel SQL for an abandoned scan
+
+async function scan({ skipCache = false } = {}) {
+  if (scanInProgress) {
+    rescanRequested = true;
+    return;
+  }
+  const site = enabledSite();
+  if (!site) {
+    clearAnnotations();
+    return;
+  }
+  const textSite = site.scanner === "text";
+  scanInProgress = true;
+  rescanRequested = false;
+
+  try {
+    const { elements, typedUuids, prefixes } = textSite ? findTextPaths() : findUnityElements();
+    // A plain prefix without a badge is just not external storage, so only
+    // __unitystorage paths count as unresolved
+    const unityElements = elements.filter(({ external }) => !external);
+    scanStatus.unresolved = unityElements.length;
+    if (elements.length === 0 || (typedUuids.size === 0 && prefixes.size === 0)) {
+      log.debug("[S3 Lens Unity] No unresolved unity elements found, skipping lookup");
+      scanStatus.error = null;
+      return;
+    }
+    scanStatus.pending = unityElements.length;
+    scanStatus.unresolved = 0;
+    renderStatus();
+
+    const requests = [];
+    if (typedUuids.size > 0) {
+      // Convert Map to array of {uuid, type, bucket, parent} for the background message
+      const uuidsWithTypes = Array.from(typedUuids.values());
+      log.debug(`[S3 Lens Unity] Sending ${uuidsWithTypes.length} typed UUIDs to background`);
+      currentScanId = crypto.randomUUID();
+      requests.push(
+        chrome.runtime.sendMessage({
+          action: "lookupUuids",
+          uuids: uuidsWithTypes,
+          scanId: currentScanId,
+          skipCache,
+        })
+      );
+    }
+    if (prefixes.size > 0) {
+      log.debug(`[S3 Lens Unity] Sending ${prefixes.size} external prefixes to background`);
+      requests.push(
+        chrome.runtime.sendMessage({ action: "lookupPrefixes", prefixes: Array.from(prefixes.values()) })
+      );
+    }
+
+    const responses = await Promise.all(requests);
+    log.debug("[S3 Lens Unity] Background responses:", responses);
+
+    const matchMap = {};
+    const errors = [];
+    for (const response of responses) {
+      if (response && response.matches) Object.assign(matchMap, response.matches);
+      if (response && response.error) {
+        log.warn("[S3 Lens Unity] Lookup warning:", response.error);
+        errors.push(response.error);
+      }
+    }
+    scanStatus.error = errors.length > 0 ? errors.join("; ") : null;
+
+    log.debug(`[S3 Lens Unity] Got ${Object.keys(matchMap).length} resolved matches`);
+    if (textSite) annotateTextPaths(elements, matchMap);
+    else annotateElements(elements, matchMap);
+    scanStatus.unresolved = unityElements.filter(
+      ({ el, path }) => !annotatedRows.has(el) && !annotatedText.get(el)?.badges.has(path)
+    ).length;
   } catch (err) {
-    console.error("[S3 Lens Unity] Scan error:", err.message, err);
+    log.error("[S3 Lens Unity] Scan error:", err.message, err);
+    scanStatus.error = err.message;
+    scanStatus.unresolved = scanStatus.pending;
   } finally {
     scanInProgress = false;
+    currentScanId = null;
+    scanStatus.pending = 0;
+    scanStatus.note = null;
+    if (annotatedRows.size > 0) rememberLensDashboard();
+    applyPendingLensFilter();
+    applyFilter();
+    updateSummaryPanel();
+    renderStatus();
+    loadFreshness();
+    loadGovernance();
+    if (rescanRequested) scheduleScan();
   }
 }
 
 // --------------- Initialization ---------------
 
-console.log("[S3 Lens Unity] Running initial scan...");
-scan();
-
 let scanTimeout = null;
-const observer = new MutationObserver(() => {
+
+/**
+ * Whether a mutation only touched our own panel, card, chip or badges.
+ * Text changes report the text node as target, so its parent is checked.
+ */
+function isOwnMutation(m) {
+  const target = m.target.nodeType === Node.ELEMENT_NODE ? m.target : m.target.parentElement;
+  if (target?.closest(OWN_UI_SELECTOR)) return true;
+  if (m.type !== "childList") return false;
+  return [...m.addedNodes, ...m.removedNodes].every((n) => n.matches?.(OWN_UI_SELECTOR));
+}
+
+// Each pass drops stale badges before scanning, even while a lookup runs
+function scheduleScan() {
   clearTimeout(scanTimeout);
-  scanTimeout = setTimeout(scan, 500);
+  scanTimeout = setTimeout(() => {
+    if (!enabledSite()) {
+      clearAnnotations();
+      return;
+    }
+    watchShadowRoots();
+    reconcileBadges();
+    scan();
+  }, 500);
+}
+
+const observer = new MutationObserver((mutations) => {
+  if (mutations.every(isOwnMutation)) return;
+  scheduleScan();
+});
+
+observer.observe(document.body, OBSERVE_OPTIONS);
+
+chrome.storage.local.get(["siteSettings", "freshnessSettings", "governanceSettings"]).then((stored) => {
+  siteSettings = stored.siteSettings || {};
+  freshnessSettings = { ...freshnessSettings, ...stored.freshnessSettings };
+  governanceSettings = { ...governanceSettings, ...stored.governanceSettings };
+  if (!enabledSite()) return;
+  log.debug("[S3 Lens Unity] Running initial scan...");
+  watchShadowRoots();
+  scan();
+});
+
+// Export requested from the popup. Only frames showing prefix rows answer,
+// so the popup hears from the frame that holds the Storage Lens table.
+// Lookup status updates come from the background while a scan waits.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "lookupStatus") {
+    handleLookupStatus(message);
+    return false;
+  }
+  if (message.action !== "exportRows") return false;
+  if (enabledSite()?.scanner !== "prefix-spans") return false;
+  if (findUnityElements({ includeAnnotated: true }).elements.length === 0) return false;
+  sendResponse({ count: exportRows(message.format) });
+  return false;
 });
 
-observer.observe(document.body, {
-  childList: true,
-  subtree: true,
+// Leaving the page abandons the running scan; stop its SQL statements
+window.addEventListener("pagehide", () => {
+  if (currentScanId) {
+    chrome.runtime.sendMessage({ action: "cancelLookup", scanId: currentScanId }).catch(() => {});
+  }
 });
 
-console.log("[S3 Lens Unity] MutationObserver active");
+log.debug("[S3 Lens Unity] MutationObserver active");
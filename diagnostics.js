@@ -0,0 +1,136 @@
+// ============================================================
+// diagnostics.js — Activity log viewer and bug report bundle
+// Shows the background's structured activity log with level,
+// event and text filters, sets the console log level, and copies
+// a redacted diagnostics bundle to the clipboard.
+// ============================================================
+
+const LEVEL_ORDER = ["debug", "info", "warn", "error"];
+
+const $ = (sel) => document.querySelector(sel);
+
+const logLevelSelect = $("#log-level");
+const levelFilter = $("#level-filter");
+const eventFilter = $("#event-filter");
+const searchInput = $("#search");
+const logStats = $("#log-stats");
+const logBody = $("#log-body");
+const refreshBtn = $("#refresh-btn");
+const clearLogBtn = $("#clear-log-btn");
+const copyBundleBtn = $("#copy-bundle-btn");
+const messageDiv = $("#message");
+
+let entries = [];
+
+// --------------- Helpers ---------------
+
+function showMessage(text, type = "info") {
+  messageDiv.textContent = text;
+  messageDiv.className = `message ${type}`;
+  messageDiv.classList.remove("hidden");
+  setTimeout(() => messageDiv.classList.add("hidden"), 4000);
+}
+
+function sendMessage(msg) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(msg, resolve);
+  });
+}
+
+/**
+ * Everything but the common fields, as "key: value" pairs.
+ */
+function formatDetails(entry) {
+  return Object.entries(entry)
+    .filter(([key, value]) => !["at", "level", "event"].includes(key) && value !== undefined && value !== null)
+    .map(([key, value]) => `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`)
+    .join(", ");
+}
+
+// --------------- Log View ---------------
+
+function matchesFilters(entry) {
+  if (LEVEL_ORDER.indexOf(entry.level) < LEVEL_ORDER.indexOf(levelFilter.value)) return false;
+  if (eventFilter.value && entry.event !== eventFilter.value) return false;
+  const query = searchInput.value.trim().toLowerCase();
+  return !query || JSON.stringify(entry).toLowerCase().includes(query);
+}
+
+function renderEventFilter() {
+  const current = eventFilter.value;
+  const events = [...new Set(entries.map((e) => e.event))].sort();
+  eventFilter.replaceChildren(new Option("All events", ""), ...events.map((e) => new Option(e, e)));
+  eventFilter.value = events.includes(current) ? current : "";
+}
+
+function renderLog() {
+  const shown = entries.filter(matchesFilters).reverse(); // newest first
+  logBody.replaceChildren();
+  for (const entry of shown) {
+    const tr = document.createElement("tr");
+    tr.dataset.level = entry.level;
+    for (const text of [
+      new Date(entry.at).toLocaleString(),
+      entry.level,
+      entry.event,
+      formatDetails(entry),
+    ]) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    logBody.appendChild(tr);
+  }
+
+  logStats.textContent = entries.length
+    ? `Showing ${shown.length} of ${entries.length} entries since ${new Date(entries[0].at).toLocaleString()}.`
+    : "The activity log is empty.";
+}
+
+async function loadLog() {
+  const result = await sendMessage({ action: "getActivityLog" });
+  if (result.error) {
+    showMessage(result.error, "error");
+    return;
+  }
+  entries = result.entries;
+  logLevelSelect.value = result.logLevel;
+  renderEventFilter();
+  renderLog();
+}
+
+// --------------- Event Handlers ---------------
+
+logLevelSelect.addEventListener("change", async () => {
+  const result = await sendMessage({ action: "setLogLevel", level: logLevelSelect.value });
+  if (result.error) showMessage(result.error, "error");
+  else showMessage("Console log level saved", "success");
+});
+
+levelFilter.addEventListener("change", renderLog);
+eventFilter.addEventListener("change", renderLog);
+searchInput.addEventListener("input", renderLog);
+refreshBtn.addEventListener("click", loadLog);
+
+clearLogBtn.addEventListener("click", async () => {
+  const result = await sendMessage({ action: "clearActivityLog" });
+  if (result.error) {
+    showMessage(result.error, "error");
+    return;
+  }
+  showMessage("Activity log cleared", "success");
+  await loadLog();
+});
+
+copyBundleBtn.addEventListener("click", async () => {
+  const result = await sendMessage({ action: "getDiagnostics" });
+  if (result.error) {
+    showMessage(result.error, "error");
+    return;
+  }
+  await navigator.clipboard.writeText(result.bundle);
+  showMessage("Diagnostics bundle copied to the clipboard", "success");
+});
+
+// --------------- Init ---------------
+loadLog();
@@ -0,0 +1,397 @@
+// ============================================================
+// enrich.js — Offline enrichment of Storage Lens metrics exports
+// Reads a CSV (optionally gzipped) or Parquet export in a streaming
+// pass, resolves its __unitystorage prefixes through the background
+// lookupUuids pipeline, then streams it again to write a CSV with
+// Unity Catalog columns appended.
+// ============================================================
+
+// Column order of Storage Lens metrics exports, used for header-less CSVs
+const STORAGE_LENS_COLUMNS = [
+  "version_number",
+  "configuration_id",
+  "report_date",
+  "aws_account_number",
+  "aws_region",
+  "storage_class",
+  "record_type",
+  "record_value",
+  "bucket_name",
+  "metric_name",
+  "metric_value",
+];
+
+const ENRICH_COLUMNS = ["uc_status", "uc_type", "uc_catalog", "uc_schema", "uc_table", "uc_full_name"];
+const LOOKUP_BATCH_SIZE = 500;
+const OUTPUT_FLUSH_ROWS = 5000;
+
+const $ = (sel) => document.querySelector(sel);
+
+const dropZone = $("#drop-zone");
+const fileInput = $("#file-input");
+const statusText = $("#status");
+const progressBar = $("#progress");
+const cancelBtn = $("#cancel-btn");
+const downloadLink = $("#download-link");
+const statsText = $("#stats");
+const messageDiv = $("#message");
+
+let currentRun = null; // { cancelled, scanId }
+
+// --------------- Helpers ---------------
+
+function showMessage(text, type = "info") {
+  messageDiv.textContent = text;
+  messageDiv.className = `message ${type}`;
+}
+
+function setProgress(label, fraction) {
+  statusText.textContent = `${label}… ${Math.floor(fraction * 100)}%`;
+  progressBar.value = fraction;
+}
+
+function checkCancelled(run) {
+  if (run.cancelled) throw new Error("Cancelled");
+}
+
+// --------------- CSV ---------------
+
+/**
+ * Incremental RFC 4180 parser. push() takes the next chunk of text and
+ * returns the rows it completed; end() flushes the last row. Quoted fields
+ * may span chunks and lines.
+ */
+function createCsvParser() {
+  let row = [];
+  let field = "";
+  let state = "start"; // start | plain | quoted | quote
+  const rows = [];
+
+  function endField() {
+    row.push(field);
+    field = "";
+    state = "start";
+  }
+
+  function endRow() {
+    endField();
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  }
+
+  return {
+    push(text) {
+      for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (state === "quoted") {
+          if (c === '"') state = "quote";
+          else field += c;
+        } else if (state === "quote" && c === '"') {
+          field += c;
+          state = "quoted";
+        } else if (c === ",") {
+          endField();
+        } else if (c === "\n") {
+          endRow();
+        } else if (c === "\r") {
+          continue;
+        } else if (c === '"' && state === "start") {
+          state = "quoted";
+        } else {
+          field += c;
+          state = "plain";
+        }
+      }
+      return rows.splice(0);
+    },
+    end() {
+      if (field || row.length > 0) endRow();
+      return rows.splice(0);
+    },
+  };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Stream a CSV file as text chunks, reporting progress by compressed bytes
+ * read when the file is gzipped.
+ */
+async function* csvTextChunks(file, gzip, onProgress) {
+  let bytesRead = 0;
+  let stream = file.stream().pipeThrough(
+    new TransformStream({
+      transform(chunk, controller) {
+        bytesRead += chunk.byteLength;
+        controller.enqueue(chunk);
+      },
+    })
+  );
+  if (gzip) stream = stream.pipeThrough(new DecompressionStream("gzip"));
+
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+      onProgress?.(bytesRead / file.size);
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+// --------------- Sources ---------------
+
+function isHeaderRow(row) {
+  return row.some((f) => /^(record_value|bucket_name|metric_name)$/i.test(f.trim()));
+}
+
+/**
+ * Inspect a dropped file. Returns { format, gzip, columns, hasHeader,
+ * metadata } where metadata is the Parquet footer for Parquet files.
+ */
+async function openSource(file) {
+  const magic = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  if (new TextDecoder().decode(magic) === PARQUET_MAGIC) {
+    const metadata = await readParquetMetadata(file);
+    return { format: "parquet", columns: metadata.columns.map((c) => c.name), hasHeader: true, metadata };
+  }
+
+  const gzip = magic[0] === 0x1f && magic[1] === 0x8b;
+  const parser = createCsvParser();
+  let first = null;
+  for await (const text of csvTextChunks(file, gzip)) {
+    [first] = parser.push(text);
+    if (first) break;
+  }
+  first = first || parser.end()[0];
+  if (!first) throw new Error("The file is empty");
+
+  const hasHeader = isHeaderRow(first);
+  let columns = first.map((_, i) => `column_${i + 1}`);
+  if (hasHeader) columns = first;
+  else if (first.length === STORAGE_LENS_COLUMNS.length) columns = STORAGE_LENS_COLUMNS;
+  return { format: "csv", gzip, columns, hasHeader };
+}
+
+/**
+ * Yield { rows, progress } batches of data rows (header excluded): one per
+ * decoded text chunk for CSV, one per row group for Parquet.
+ */
+async function* readBatches(file, source) {
+  if (source.format === "parquet") {
+    const { rowGroups } = source.metadata;
+    for (let i = 0; i < rowGroups.length; i++) {
+      yield { rows: await readParquetRowGroup(file, source.metadata, i), progress: (i + 1) / rowGroups.length };
+    }
+    return;
+  }
+
+  const parser = createCsvParser();
+  let progress = 0;
+  let skipHeader = source.hasHeader;
+  for await (const text of csvTextChunks(file, source.gzip, (p) => (progress = p))) {
+    const rows = parser.push(text);
+    if (skipHeader && rows.length > 0) {
+      rows.shift();
+      skipHeader = false;
+    }
+    yield { rows, progress };
+  }
+  yield { rows: parser.end(), progress: 1 };
+}
+
+/**
+ * The __unitystorage path of a row: bucket_name + record_value for
+ * Storage Lens exports, otherwise the first field mentioning __unitystorage.
+ */
+function unityPathOf(row, source) {
+  const valueIdx = source.columns.indexOf("record_value");
+  const bucketIdx = source.columns.indexOf("bucket_name");
+
+  let value =
+    valueIdx !== -1 ? row[valueIdx] : row.find((f) => typeof f === "string" && f.includes("__unitystorage"));
+  if (typeof value !== "string" || !value.includes("__unitystorage")) return null;
+  if (/%2F/i.test(value)) {
+    try {
+      value = decodeURIComponent(value);
+    } catch {
+      // Not percent-encoded after all
+    }
+  }
+  const bucket = bucketIdx !== -1 ? row[bucketIdx] : null;
+  return bucket && !value.startsWith(bucket) ? `${bucket}/${value}` : value;
+}
+
+// --------------- Enrichment ---------------
+
+/**
+ * First pass: collect the typed UUIDs of every __unitystorage row.
+ */
+async function collectUuids(file, source, run) {
+  const typedUuids = new Map();
+  let rowCount = 0;
+  let unityRows = 0;
+
+  for await (const { rows, progress } of readBatches(file, source)) {
+    checkCancelled(run);
+    for (const row of rows) {
+      rowCount++;
+      const path = unityPathOf(row, source);
+      const parsed = path && parseUnityPath(path);
+      if (!parsed) continue;
+      unityRows++;
+      addTypedUuids(typedUuids, parsed, parseBucket(path));
+    }
+    setProgress("Reading", progress);
+  }
+  return { typedUuids, rowCount, unityRows };
+}
+
+/**
+ * Resolve the collected UUIDs through the background in batches, which
+ * goes through the same cache, index and profiles as the Storage Lens page.
+ */
+async function resolveAll(typedUuids, run) {
+  const all = Array.from(typedUuids.values());
+  const matches = {};
+  const errors = new Set();
+
+  for (let i = 0; i < all.length; i += LOOKUP_BATCH_SIZE) {
+    checkCancelled(run);
+    run.scanId = crypto.randomUUID();
+    const response = await chrome.runtime.sendMessage({
+      action: "lookupUuids",
+      uuids: all.slice(i, i + LOOKUP_BATCH_SIZE),
+      scanId: run.scanId,
+    });
+    if (response?.matches) Object.assign(matches, response.matches);
+    if (response?.error) errors.add(response.error);
+    setProgress("Resolving", Math.min(i + LOOKUP_BATCH_SIZE, all.length) / all.length);
+  }
+  run.scanId = null;
+  return { matches, errors: Array.from(errors) };
+}
+
+/**
+ * Second pass: stream the file again and build the enriched CSV as a Blob.
+ */
+async function writeEnriched(file, source, matches, run) {
+  const parts = [];
+  const counts = { resolved: 0, orphan: 0, unresolved: 0 };
+  let lines = [];
+
+  if (source.hasHeader) lines.push([...source.columns, ...ENRICH_COLUMNS].map(csvField).join(","));
+
+  for await (const { rows, progress } of readBatches(file, source)) {
+    checkCancelled(run);
+    for (const row of rows) {
+      const path = unityPathOf(row, source);
+      const parsed = path && parseUnityPath(path);
+      let extra = ENRICH_COLUMNS.map(() => null);
+      if (parsed) {
+        const fields = describeMatch(bestUuidMatch(parsed, matches));
+        counts[fields.status]++;
+        extra = [fields.status, fields.type, fields.catalog, fields.schema, fields.table, fields.full_name];
+      }
+      lines.push([...row, ...extra].map(csvField).join(","));
+
+      if (lines.length >= OUTPUT_FLUSH_ROWS) {
+        parts.push(lines.join("\r\n") + "\r\n");
+        lines = [];
+      }
+    }
+    setProgress("Writing", progress);
+  }
+  if (lines.length > 0) parts.push(lines.join("\r\n") + "\r\n");
+
+  return { blob: new Blob(parts, { type: "text/csv" }), counts };
+}
+
+function outputName(file) {
+  const base = file.name.replace(/\.gz$/i, "").replace(/\.(csv|parquet)$/i, "");
+  return `${base}-unity.csv`;
+}
+
+async function enrichFile(file) {
+  const run = { cancelled: false, scanId: null };
+  currentRun = run;
+
+  URL.revokeObjectURL(downloadLink.href);
+  downloadLink.classList.add("hidden");
+  messageDiv.className = "message hidden";
+  statsText.textContent = "";
+  progressBar.classList.remove("hidden");
+  cancelBtn.classList.remove("hidden");
+  dropZone.classList.add("busy");
+
+  try {
+    const source = await openSource(file);
+
+    const { typedUuids, rowCount, unityRows } = await collectUuids(file, source, run);
+    if (typedUuids.size === 0) {
+      showMessage(`No __unitystorage prefixes in ${rowCount} rows`, "error");
+      return;
+    }
+
+    const { matches, errors } = await resolveAll(typedUuids, run);
+    const { blob, counts } = await writeEnriched(file, source, matches, run);
+
+    downloadLink.href = URL.createObjectURL(blob);
+    downloadLink.download = outputName(file);
+    downloadLink.classList.remove("hidden");
+    statusText.textContent = "Done";
+    statsText.textContent =
+      `${rowCount} rows, ${unityRows} with __unitystorage prefixes, ${typedUuids.size} unique UUIDs. ` +
+      `${counts.resolved} resolved, ${counts.orphan} orphaned, ${counts.unresolved} unresolved.`;
+    if (errors.length > 0) showMessage(`Some lookups failed: ${errors.join("; ")}`, "error");
+  } catch (err) {
+    if (run.cancelled) {
+      statusText.textContent = "Cancelled";
+    } else {
+      console.error("[S3 Lens Enrich] Failed:", err);
+      statusText.textContent = "";
+      showMessage(err.message, "error");
+    }
+  } finally {
+    if (currentRun === run) currentRun = null;
+    progressBar.classList.add("hidden");
+    cancelBtn.classList.add("hidden");
+    dropZone.classList.remove("busy");
+  }
+}
+
+// --------------- Event Handlers ---------------
+
+fileInput.addEventListener("change", () => {
+  if (fileInput.files[0] && !currentRun) enrichFile(fileInput.files[0]);
+  fileInput.value = "";
+});
+
+dropZone.addEventListener("dragover", (event) => {
+  event.preventDefault();
+  dropZone.classList.add("over");
+});
+
+dropZone.addEventListener("dragleave", () => dropZone.classList.remove("over"));
+
+dropZone.addEventListener("drop", (event) => {
+  event.preventDefault();
+  dropZone.classList.remove("over");
+  const file = event.dataTransfer.files[0];
+  if (file && !currentRun) enrichFile(file);
+});
+
+cancelBtn.addEventListener("click", () => {
+  if (!currentRun) return;
+  currentRun.cancelled = true;
+  if (currentRun.scanId) {
+    chrome.runtime.sendMessage({ action: "cancelLookup", scanId: currentRun.scanId }).catch(() => {});
+  }
+});
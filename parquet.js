@@ -0,0 +1,443 @@
+// ============================================================
+// parquet.js — Minimal Parquet reader for Storage Lens exports
+// Reads flat (non-nested) files one row group at a time. Covers
+// PLAIN and dictionary encodings, v1 and v2 data pages, and
+// uncompressed, Snappy and GZIP column chunks.
+// ============================================================
+
+const PARQUET_MAGIC = "PAR1";
+
+const PARQUET_TYPES = {
+  BOOLEAN: 0,
+  INT32: 1,
+  INT64: 2,
+  INT96: 3,
+  FLOAT: 4,
+  DOUBLE: 5,
+  BYTE_ARRAY: 6,
+  FIXED_LEN_BYTE_ARRAY: 7,
+};
+
+const PAGE_TYPES = { DATA_PAGE: 0, INDEX_PAGE: 1, DICTIONARY_PAGE: 2, DATA_PAGE_V2: 3 };
+const ENCODINGS = { PLAIN: 0, PLAIN_DICTIONARY: 2, RLE: 3, RLE_DICTIONARY: 8 };
+const CODECS = ["UNCOMPRESSED", "SNAPPY", "GZIP", "LZO", "BROTLI", "LZ4", "ZSTD", "LZ4_RAW"];
+const CONVERTED_TYPES = { DATE: 6, TIMESTAMP_MILLIS: 9, TIMESTAMP_MICROS: 10 };
+
+const utf8 = new TextDecoder();
+
+// --------------- Thrift Compact Protocol ---------------
+
+/**
+ * Decode one Thrift compact-protocol struct at data[offset]. Structs come
+ * back as plain objects keyed by field id, which is all the footer and
+ * page headers need. Returns { value, offset } with the offset past it.
+ */
+function readThriftStruct(data, offset = 0) {
+  let pos = offset;
+
+  function varint() {
+    let result = 0n;
+    let shift = 0n;
+    for (;;) {
+      const byte = data[pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) return result;
+      shift += 7n;
+    }
+  }
+
+  function zigzag() {
+    const n = varint();
+    return Number((n >> 1n) ^ -(n & 1n));
+  }
+
+  function value(type) {
+    switch (type) {
+      case 1:
+        return true;
+      case 2:
+        return false;
+      case 3:
+        return (data[pos++] << 24) >> 24;
+      case 4:
+      case 5:
+      case 6:
+        return zigzag();
+      case 7: {
+        const v = new DataView(data.buffer, data.byteOffset + pos, 8).getFloat64(0, true);
+        pos += 8;
+        return v;
+      }
+      case 8: {
+        const length = Number(varint());
+        const bytes = data.subarray(pos, pos + length);
+        pos += length;
+        return bytes;
+      }
+      case 9:
+      case 10: {
+        const header = data[pos++];
+        let size = header >> 4;
+        if (size === 15) size = Number(varint());
+        const elemType = header & 0x0f;
+        const items = [];
+        for (let i = 0; i < size; i++) {
+          // Booleans inside lists are one byte each, not folded into the type
+          items.push(elemType === 1 || elemType === 2 ? data[pos++] === 1 : value(elemType));
+        }
+        return items;
+      }
+      case 11: {
+        const size = Number(varint());
+        const map = new Map();
+        if (size === 0) return map;
+        const types = data[pos++];
+        for (let i = 0; i < size; i++) {
+          const key = value(types >> 4);
+          map.set(key, value(types & 0x0f));
+        }
+        return map;
+      }
+      case 12:
+        return struct();
+      default:
+        throw new Error(`Corrupt Parquet metadata (Thrift type ${type})`);
+    }
+  }
+
+  function struct() {
+    const fields = {};
+    let fieldId = 0;
+    for (;;) {
+      const header = data[pos++];
+      const type = header & 0x0f;
+      if (type === 0) return fields;
+      const delta = header >> 4;
+      fieldId = delta === 0 ? zigzag() : fieldId + delta;
+      fields[fieldId] = value(type);
+    }
+  }
+
+  const result = struct();
+  return { value: result, offset: pos };
+}
+
+// --------------- Decompression ---------------
+
+/**
+ * Decompress a raw (unframed) Snappy block, as used by Parquet pages.
+ */
+function snappyDecompress(input) {
+  let pos = 0;
+  let length = 0;
+  for (let shift = 0; ; shift += 7) {
+    const byte = input[pos++];
+    length += (byte & 0x7f) * 2 ** shift;
+    if ((byte & 0x80) === 0) break;
+  }
+
+  const output = new Uint8Array(length);
+  let out = 0;
+  while (pos < input.length) {
+    const tag = input[pos++];
+    const kind = tag & 3;
+
+    if (kind === 0) {
+      let len = tag >> 2;
+      if (len >= 60) {
+        const bytes = len - 59;
+        len = 0;
+        for (let i = 0; i < bytes; i++) len += input[pos++] * 2 ** (8 * i);
+      }
+      len += 1;
+      output.set(input.subarray(pos, pos + len), out);
+      pos += len;
+      out += len;
+      continue;
+    }
+
+    let len;
+    let copyOffset;
+    if (kind === 1) {
+      len = ((tag >> 2) & 7) + 4;
+      copyOffset = ((tag >> 5) << 8) | input[pos++];
+    } else if (kind === 2) {
+      len = (tag >> 2) + 1;
+      copyOffset = input[pos] | (input[pos + 1] << 8);
+      pos += 2;
+    } else {
+      len = (tag >> 2) + 1;
+      copyOffset = (input[pos] | (input[pos + 1] << 8) | (input[pos + 2] << 16)) + input[pos + 3] * 2 ** 24;
+      pos += 4;
+    }
+    // Byte by byte: copies may overlap their own output
+    for (let i = 0; i < len; i++, out++) output[out] = output[out - copyOffset];
+  }
+  return output;
+}
+
+async function decompressPage(data, codec) {
+  switch (CODECS[codec]) {
+    case "UNCOMPRESSED":
+      return data;
+    case "SNAPPY":
+      return snappyDecompress(data);
+    case "GZIP": {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("gzip"));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    default:
+      throw new Error(`Unsupported Parquet compression: ${CODECS[codec] || codec}`);
+  }
+}
+
+// --------------- Value Decoding ---------------
+
+/**
+ * Decode count values of the RLE / bit-packed hybrid encoding used for
+ * definition levels, dictionary indices and RLE booleans.
+ */
+function decodeHybrid(data, bitWidth, count) {
+  const values = new Int32Array(count);
+  const byteWidth = Math.ceil(bitWidth / 8);
+  let pos = 0;
+  let i = 0;
+
+  while (i < count && pos < data.length) {
+    let header = 0;
+    for (let shift = 0; ; shift += 7) {
+      const byte = data[pos++];
+      header += (byte & 0x7f) * 2 ** shift;
+      if ((byte & 0x80) === 0) break;
+    }
+
+    if (header & 1) {
+      // Bit-packed: (header >> 1) groups of 8 values, least significant bit first
+      const total = Math.floor(header / 2) * 8;
+      let bit = pos * 8;
+      for (let j = 0; j < total; j++) {
+        let v = 0;
+        for (let b = 0; b < bitWidth; b++, bit++) {
+          v |= ((data[bit >> 3] >> (bit & 7)) & 1) << b;
+        }
+        if (i < count) values[i++] = v;
+      }
+      pos += Math.floor(header / 2) * bitWidth;
+    } else {
+      let v = 0;
+      for (let b = 0; b < byteWidth; b++) v |= data[pos++] << (8 * b);
+      const run = Math.floor(header / 2);
+      for (let j = 0; j < run && i < count; j++) values[i++] = v;
+    }
+  }
+  return values;
+}
+
+function int96ToIso(view, offset) {
+  const nanos = view.getBigUint64(offset, true);
+  const julianDay = view.getUint32(offset + 8, true);
+  const ms = (julianDay - 2440588) * 86400000 + Number(nanos / 1000000n);
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Decode count PLAIN-encoded values of a physical type.
+ */
+function decodePlain(data, type, count, typeLength) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const values = new Array(count);
+  let pos = 0;
+
+  for (let i = 0; i < count; i++) {
+    switch (type) {
+      case PARQUET_TYPES.BOOLEAN:
+        values[i] = ((data[i >> 3] >> (i & 7)) & 1) === 1;
+        break;
+      case PARQUET_TYPES.INT32:
+        values[i] = view.getInt32(pos, true);
+        pos += 4;
+        break;
+      case PARQUET_TYPES.INT64:
+        values[i] = Number(view.getBigInt64(pos, true));
+        pos += 8;
+        break;
+      case PARQUET_TYPES.INT96:
+        values[i] = int96ToIso(view, pos);
+        pos += 12;
+        break;
+      case PARQUET_TYPES.FLOAT:
+        values[i] = view.getFloat32(pos, true);
+        pos += 4;
+        break;
+      case PARQUET_TYPES.DOUBLE:
+        values[i] = view.getFloat64(pos, true);
+        pos += 8;
+        break;
+      case PARQUET_TYPES.BYTE_ARRAY: {
+        const length = view.getUint32(pos, true);
+        values[i] = utf8.decode(data.subarray(pos + 4, pos + 4 + length));
+        pos += 4 + length;
+        break;
+      }
+      case PARQUET_TYPES.FIXED_LEN_BYTE_ARRAY:
+        values[i] = Array.from(data.subarray(pos, pos + typeLength), (b) => b.toString(16).padStart(2, "0")).join("");
+        pos += typeLength;
+        break;
+      default:
+        throw new Error(`Unsupported Parquet type ${type}`);
+    }
+  }
+  return values;
+}
+
+function decodeValues(data, encoding, count, column, dictionary) {
+  switch (encoding) {
+    case ENCODINGS.PLAIN:
+      return decodePlain(data, column.type, count, column.typeLength);
+    case ENCODINGS.PLAIN_DICTIONARY:
+    case ENCODINGS.RLE_DICTIONARY: {
+      if (!dictionary) throw new Error(`Column ${column.name} has no dictionary page`);
+      const indices = decodeHybrid(data.subarray(1), data[0], count);
+      return Array.from(indices, (idx) => dictionary[idx]);
+    }
+    case ENCODINGS.RLE:
+      if (column.type !== PARQUET_TYPES.BOOLEAN) break;
+      return Array.from(decodeHybrid(data.subarray(4), 1, count), (v) => v === 1);
+  }
+  throw new Error(`Unsupported Parquet encoding ${encoding} in column ${column.name}`);
+}
+
+/**
+ * Apply the logical type recorded as converted_type: dates and timestamps
+ * become ISO strings so they read the same as in the CSV export.
+ */
+function convertValue(value, column) {
+  if (value === null) return null;
+  switch (column.convertedType) {
+    case CONVERTED_TYPES.DATE:
+      return new Date(value * 86400000).toISOString().slice(0, 10);
+    case CONVERTED_TYPES.TIMESTAMP_MILLIS:
+      return new Date(value).toISOString();
+    case CONVERTED_TYPES.TIMESTAMP_MICROS:
+      return new Date(value / 1000).toISOString();
+    default:
+      return value;
+  }
+}
+
+// --------------- File Reading ---------------
+
+async function readBytes(file, start, end) {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+/**
+ * Read the footer of a Parquet File/Blob.
+ * Returns { columns: [{ name, type, typeLength, convertedType, optional }],
+ * rowGroups: [{ numRows, chunks }], numRows }.
+ */
+async function readParquetMetadata(file) {
+  const tail = await readBytes(file, file.size - 8, file.size);
+  if (utf8.decode(tail.subarray(4)) !== PARQUET_MAGIC) {
+    throw new Error("Not a Parquet file");
+  }
+  const footerLength = new DataView(tail.buffer).getUint32(0, true);
+  const footer = await readBytes(file, file.size - 8 - footerLength, file.size - 8);
+  const meta = readThriftStruct(footer).value;
+
+  const [, ...leaves] = meta[2];
+  const columns = leaves.map((el) => {
+    if (el[5]) throw new Error("Nested Parquet schemas are not supported");
+    if (el[3] === 2) throw new Error(`Repeated column ${utf8.decode(el[4])} is not supported`);
+    return {
+      name: utf8.decode(el[4]),
+      type: el[1],
+      typeLength: el[2] || 0,
+      convertedType: el[6] ?? null,
+      optional: el[3] === 1,
+    };
+  });
+
+  const rowGroups = (meta[4] || []).map((rg) => ({ numRows: Number(rg[3]), chunks: rg[1] }));
+  return { columns, rowGroups, numRows: Number(meta[3]) };
+}
+
+/**
+ * Decode every page of one column chunk into an array of numRows values,
+ * with null for missing optional values.
+ */
+async function readColumnChunk(file, chunk, column, numRows) {
+  const meta = chunk[3];
+  const codec = meta[4];
+  const start = meta[11] > 0 ? Math.min(meta[11], meta[9]) : meta[9];
+  const bytes = await readBytes(file, start, start + meta[7]);
+
+  const values = [];
+  let dictionary = null;
+  let pos = 0;
+
+  while (values.length < numRows && pos < bytes.length) {
+    const { value: header, offset } = readThriftStruct(bytes, pos);
+    const page = bytes.subarray(offset, offset + header[3]);
+    pos = offset + header[3];
+
+    if (header[1] === PAGE_TYPES.DICTIONARY_PAGE) {
+      const data = await decompressPage(page, codec);
+      dictionary = decodePlain(data, column.type, header[7][1], column.typeLength);
+      continue;
+    }
+
+    let count;
+    let defLevels = null;
+    let encoding;
+    let data;
+
+    if (header[1] === PAGE_TYPES.DATA_PAGE) {
+      const dph = header[5];
+      count = dph[1];
+      encoding = dph[2];
+      data = await decompressPage(page, codec);
+      if (column.optional) {
+        const length = new DataView(data.buffer, data.byteOffset).getUint32(0, true);
+        defLevels = decodeHybrid(data.subarray(4, 4 + length), 1, count);
+        data = data.subarray(4 + length);
+      }
+    } else if (header[1] === PAGE_TYPES.DATA_PAGE_V2) {
+      const dph = header[8];
+      count = dph[1];
+      encoding = dph[4];
+      // Levels are never compressed in v2 pages; flat columns have no repetition levels
+      const levelsLength = dph[5] + dph[6];
+      if (column.optional) defLevels = decodeHybrid(page.subarray(dph[6], levelsLength), 1, count);
+      data = page.subarray(levelsLength);
+      if (dph[7] !== false) data = await decompressPage(data, codec);
+    } else {
+      continue;
+    }
+
+    const present = defLevels ? defLevels.reduce((n, level) => n + level, 0) : count;
+    const decoded = decodeValues(data, encoding, present, column, dictionary);
+    let next = 0;
+    for (let i = 0; i < count; i++) {
+      values.push(defLevels && defLevels[i] === 0 ? null : convertValue(decoded[next++], column));
+    }
+  }
+  return values;
+}
+
+/**
+ * Read one row group as an array of row arrays, in column order.
+ */
+async function readParquetRowGroup(file, metadata, index) {
+  const { numRows, chunks } = metadata.rowGroups[index];
+  const columnValues = [];
+  for (let c = 0; c < metadata.columns.length; c++) {
+    columnValues.push(await readColumnChunk(file, chunks[c], metadata.columns[c], numRows));
+  }
+
+  const rows = new Array(numRows);
+  for (let r = 0; r < numRows; r++) {
+    rows[r] = columnValues.map((values) => values[r] ?? null);
+  }
+  return rows;
+}
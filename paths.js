@@ -0,0 +1,162 @@
+// ============================================================
+// paths.js — Storage path parsing shared by the content script,
+// the export enrichment page and the selection resolver. Plain
+// script: loaded ahead of content.js by the manifest and by a
+// <script> tag in enrich.html and resolve.html.
+// ============================================================
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Parse a __unitystorage path and extract typed UUIDs.
+ *
+ * Path patterns seen on the page:
+ *   __unitystorage/schemas/<schema_uuid>/tables/<table_uuid>  -> schema + table UUIDs
+ *   __unitystorage/catalogs/<catalog_uuid>/tables/<table_uuid> -> catalog + table UUIDs
+ *   __unitystorage/catalogs/<catalog_uuid>                     -> catalog UUID only
+ *   __unitystorage/schemas/<schema_uuid>/tables                -> schema UUID only (no table)
+ *   __unitystorage/schemas/<schema_uuid>/volumes/<volume_uuid> -> schema + volume UUIDs
+ *   __unitystorage/catalogs/<catalog_uuid>/models/<model_uuid>/versions/<version_uuid>
+ *                                                              -> catalog + model UUIDs
+ *   __unitystorage/schemas                                     -> no UUID, skip
+ *   __unitystorage/catalogs                                    -> no UUID, skip
+ *
+ * Returns array of { uuid, type } or null.
+ */
+function parseUnityPath(text) {
+  const idx = text.indexOf("__unitystorage/");
+  if (idx === -1) return null;
+
+  const pathPart = text.substring(idx);
+  const segments = pathPart.split("/");
+  // segments[0] = "__unitystorage"
+  // segments[1] = "schemas"|"catalogs"
+  // segments[2] = <uuid> (maybe)
+  // segments[3] = "tables"|"volumes"|"models" (maybe)
+  // segments[4] = <uuid> (maybe)
+  const results = [];
+
+  for (let i = 1; i < segments.length; i += 2) {
+    const kind = segments[i];
+    const uuid = segments[i + 1];
+    if (!uuid) continue;
+
+    const cleanUuid = uuid.replace(/[^0-9a-f-]/gi, "").toLowerCase();
+    if (!UUID_PATTERN.test(cleanUuid)) continue;
+
+    let type;
+    if (kind === "tables") type = "table";
+    else if (kind === "volumes") type = "volume";
+    else if (kind === "models") type = "model";
+    else if (kind === "schemas") type = "schema";
+    else if (kind === "catalogs") type = "catalog";
+    else continue;
+
+    results.push({ uuid: cleanUuid, type });
+  }
+
+  return results.length > 0 ? results : null;
+}
+
+// __unitystorage paths in free text: S3 URLs, S3 ARNs and "bucket/key"
+// forms, or a bare __unitystorage/... path, up to whitespace, quotes or
+// JSON punctuation
+const TEXT_PATH_RE =
+  /(?:(?:s3a?:\/\/|arn:aws[a-z-]*:s3:::)?[a-z0-9][a-z0-9.-]*\/(?:[^\s"'<>,{}[\]]*?\/)?)?__unitystorage\/[^\s"'<>,{}[\]]*/gi;
+
+/**
+ * The __unitystorage paths in a piece of free text, in order, with any S3
+ * ARN prefix removed so parseBucket sees the bucket first.
+ */
+function unityPathsInText(text) {
+  return Array.from(text.matchAll(TEXT_PATH_RE), ([match]) => match.replace(/^arn:aws[a-z-]*:s3:::/i, ""));
+}
+
+/**
+ * Extract the bucket name in front of a __unitystorage path, e.g.
+ * "s3://my-bucket/__unitystorage/..." or "my-bucket/__unitystorage/...".
+ * The background uses it to route the lookup to a workspace profile.
+ *
+ * Returns the bucket name or null when the text starts at __unitystorage.
+ */
+function parseBucket(text) {
+  const idx = text.indexOf("__unitystorage/");
+  if (idx === -1) return null;
+
+  const prefix = text.substring(0, idx).trim().replace(/^s3:\/\//i, "");
+  const bucket = prefix.split("/").filter(Boolean)[0];
+  return bucket || null;
+}
+
+function normalizePrefix(text) {
+  return text.trim().replace(/^s3a?:\/\//i, "").replace(/\/+$/, "");
+}
+
+function typePriority(type) {
+  // Tables, volumes and models are leaf objects and equally specific; an
+  // orphan is an unresolved leaf
+  if (type === "table" || type === "volume" || type === "model" || type === "orphan") return 3;
+  if (type === "schema") return 2;
+  if (type === "catalog") return 1;
+  return 0;
+}
+
+/**
+ * Add the UUIDs of one parsed path to typedUuids (Map<uuid, { uuid, type,
+ * bucket, parent }>), keeping the most specific type when a UUID repeats.
+ * parent is the schema or catalog a table, volume or model sits under, which
+ * lets the REST backend list only that schema.
+ */
+function addTypedUuids(typedUuids, parsed, bucket) {
+  let parent = null; // closest schema or catalog before a leaf in the path
+  for (const { uuid, type } of parsed) {
+    const existing = typedUuids.get(uuid);
+    if (!existing || typePriority(type) > typePriority(existing.type)) {
+      typedUuids.set(uuid, {
+        uuid,
+        type,
+        bucket: bucket || existing?.bucket || null,
+        parent: typePriority(type) === 3 ? parent : null,
+      });
+    }
+    if (type === "schema" || type === "catalog") parent = { uuid, type };
+  }
+}
+
+/**
+ * The most specific resolved match among a path's UUIDs, or null.
+ */
+function bestUuidMatch(parsed, matches) {
+  let best = null;
+  for (const { uuid } of parsed || []) {
+    const info = matches[uuid];
+    if (!info) continue;
+    if (!best || typePriority(info.type) > typePriority(best.type)) best = info;
+  }
+  return best;
+}
+
+/**
+ * Flatten a lookup result into export columns: status ("resolved", "orphan"
+ * or "unresolved"), type, catalog, schema, table (or volume or model) and
+ * full name. Orphans carry a full name only when they matched a dropped table.
+ */
+function describeMatch(info) {
+  const fields = {
+    status: "unresolved",
+    type: null,
+    catalog: null,
+    schema: null,
+    table: null,
+    full_name: null,
+  };
+  if (!info) return fields;
+
+  if (info.type === "orphan") {
+    return { ...fields, status: "orphan", type: info.objectType, full_name: info.dropped?.fullName || null };
+  }
+
+  const [catalog = null, schema = null, table = null] =
+    info.type === "external_location" ? [] : info.fullName.split(".");
+  return { status: "resolved", type: info.type, catalog, schema, table, full_name: info.fullName };
+}
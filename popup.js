@@ -4,14 +4,73 @@
 
 const $ = (sel) => document.querySelector(sel);
 
+const profileSelect = $("#profile-select");
+const newProfileBtn = $("#new-profile-btn");
+const profileNameInput = $("#profile-name");
 const workspaceInput = $("#workspace-url");
+const authMethodSelect = $("#auth-method");
 const patTokenInput = $("#pat-token");
+const clientIdInput = $("#client-id");
+const clientSecretInput = $("#client-secret");
+const redirectUrlCode = $("#redirect-url");
+const signInStatus = $("#sign-in-status");
+const signInBtn = $("#sign-in-btn");
+const signOutBtn = $("#sign-out-btn");
+const backendSelect = $("#backend");
 const warehouseInput = $("#warehouse-id");
+const warehouseSelect = $("#warehouse-select");
+const refreshWarehousesBtn = $("#refresh-warehouses-btn");
+const warehouseState = $("#warehouse-state");
+const warehouseStateText = $("#warehouse-state-text");
+const startWarehouseBtn = $("#start-warehouse-btn");
+const warehousePolicySelect = $("#warehouse-policy");
+const bucketsInput = $("#profile-buckets");
+const indexModeInput = $("#index-mode");
+const externalPathsInput = $("#external-paths");
+const indexStats = $("#index-stats");
+const rebuildIndexBtn = $("#rebuild-index-btn");
 const saveBtn = $("#save-btn");
 const testBtn = $("#test-btn");
+const deleteProfileBtn = $("#delete-profile-btn");
 const cacheStats = $("#cache-stats");
+const cacheHitRate = $("#cache-hit-rate");
 const cacheUpdated = $("#cache-updated");
+const ttlInputs = document.querySelectorAll(".ttl-grid input[data-type]");
+const maxEntriesInput = $("#cache-max-entries");
+const saveCacheSettingsBtn = $("#save-cache-settings-btn");
+const cacheQueryInput = $("#cache-query");
+const findEntriesBtn = $("#find-entries-btn");
+const showStaleBtn = $("#show-stale-btn");
+const cacheEntryList = $("#cache-entry-list");
 const clearCacheBtn = $("#clear-cache-btn");
+const tableSearchInput = $("#table-search");
+const tableSuggestions = $("#table-suggestions");
+const locateTableBtn = $("#locate-table-btn");
+const tableLocation = $("#table-location");
+const tableLocationName = $("#table-location-name");
+const tableBucket = $("#table-bucket");
+const tablePrefix = $("#table-prefix");
+const openS3Btn = $("#open-s3-btn");
+const openLensBtn = $("#open-lens-btn");
+const exportMappingBtn = $("#export-mapping-btn");
+const importMappingBtn = $("#import-mapping-btn");
+const mappingFileInput = $("#mapping-file");
+const offlineModeInput = $("#offline-mode");
+const siteInputs = document.querySelectorAll(".site-list input[data-site]");
+const freshnessEnabledInput = $("#freshness-enabled");
+const coldDaysInput = $("#cold-days");
+const governanceEnabledInput = $("#governance-enabled");
+const chipTagKeysInput = $("#chip-tag-keys");
+const colorTagKeyInput = $("#color-tag-key");
+const mappingList = $("#mapping-list");
+const exportCsvBtn = $("#export-csv-btn");
+const exportJsonBtn = $("#export-json-btn");
+const enrichBtn = $("#enrich-btn");
+const diagnosticsBtn = $("#diagnostics-btn");
+const orphanStats = $("#orphan-stats");
+const orphanList = $("#orphan-list");
+const copyOrphansBtn = $("#copy-orphans-btn");
+const clearOrphansBtn = $("#clear-orphans-btn");
 const messageDiv = $("#message");
 
 // --------------- Helpers ---------------
@@ -29,61 +88,492 @@ function sendMessage(msg) {
   });
 }
 
+async function sendToActiveTab(msg) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return null;
+  return chrome.tabs.sendMessage(tab.id, msg).catch(() => null);
+}
+
 function formatTimestamp(ts) {
   if (!ts) return "Never";
   return new Date(ts).toLocaleString();
 }
 
+function formatAge(ts) {
+  const hours = Math.floor((Date.now() - ts) / (60 * 60 * 1000));
+  if (hours < 1) return "less than an hour old";
+  if (hours < 48) return `${hours} hours old`;
+  return `${Math.floor(hours / 24)} days old`;
+}
+
+function downloadJson(data, filename) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: "application/json" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function parseBuckets(value) {
+  return value
+    .split(",")
+    .map((b) => b.trim())
+    .filter(Boolean);
+}
+
 // --------------- UI Update ---------------
 
+let profiles = [];
+let selectedProfileId = null; // null while editing a new, unsaved profile
+
+function renderProfileSelect() {
+  profileSelect.innerHTML = "";
+  for (const profile of profiles) {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent = profile.name || profile.workspaceUrl || "(unnamed)";
+    profileSelect.appendChild(option);
+  }
+  if (selectedProfileId === null) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.textContent = "New profile";
+    profileSelect.appendChild(option);
+  }
+  profileSelect.value = selectedProfileId || "";
+}
+
+const AUTH_LABELS = {
+  pat: "PAT",
+  "oauth-m2m": "OAuth M2M",
+  "oauth-u2m": "OAuth U2M",
+};
+
+function renderAuthFields() {
+  const method = authMethodSelect.value;
+  for (const el of document.querySelectorAll(".auth-fields")) {
+    el.classList.toggle("hidden", !el.dataset.auth.split(" ").includes(method));
+  }
+}
+
+function renderProfileForm() {
+  const profile = profiles.find((p) => p.id === selectedProfileId);
+
+  profileNameInput.value = profile?.name || "";
+  workspaceInput.value = profile?.workspaceUrl || "";
+  warehouseInput.value = profile?.warehouseId || "";
+  backendSelect.value = profile?.backend || "sql";
+  warehousePolicySelect.value = profile?.warehousePolicy || "start";
+  bucketsInput.value = (profile?.buckets || []).join(", ");
+  patTokenInput.value = "";
+  // Don't populate PAT in the field (security), but show placeholder hint
+  patTokenInput.placeholder = profile?.hasToken ? "********** (saved)" : "dapi...";
+
+  authMethodSelect.value = profile?.authMethod || "pat";
+  clientIdInput.value = profile?.clientId || "";
+  clientSecretInput.value = "";
+  clientSecretInput.placeholder = profile?.hasClientSecret ? "********** (saved)" : "dose...";
+  signInStatus.textContent = profile?.signedIn ? "Signed in" : "Not signed in";
+  signInBtn.disabled = !profile;
+  signOutBtn.disabled = !profile?.signedIn;
+  renderAuthFields();
+
+  indexModeInput.checked = !!profile?.indexMode;
+  externalPathsInput.checked = !!profile?.externalPaths;
+  indexStats.textContent = profile?.index
+    ? `${profile.index.size} entries, refreshed ${formatTimestamp(profile.index.refreshedAt)}.`
+    : "";
+
+  testBtn.disabled = !profile;
+  deleteProfileBtn.disabled = !profile;
+  exportMappingBtn.disabled = !profile;
+  rebuildIndexBtn.classList.toggle("hidden", !profile?.indexMode);
+
+  locatedTable = null;
+  renderTableLocation();
+
+  warehouses = [];
+  renderWarehouses(profile ? "Loading warehouses..." : "Save the profile to list warehouses");
+  refreshWarehousesBtn.disabled = !profile;
+  if (profile && profile.backend !== "rest") loadWarehouses();
+}
+
+// --------------- Warehouses ---------------
+
+let warehouses = [];
+
+function describeWarehouseOption(w) {
+  const parts = [w.name, w.size, w.serverless ? "serverless" : "classic", w.state];
+  return parts.filter(Boolean).join(" · ");
+}
+
+function renderWarehouses(placeholder = "Choose a warehouse") {
+  const current = warehouseInput.value.trim();
+  warehouseSelect.replaceChildren();
+
+  const empty = document.createElement("option");
+  empty.value = "";
+  empty.textContent = placeholder;
+  warehouseSelect.appendChild(empty);
+  for (const w of warehouses) {
+    const option = document.createElement("option");
+    option.value = w.id;
+    option.textContent = describeWarehouseOption(w);
+    warehouseSelect.appendChild(option);
+  }
+  warehouseSelect.value = warehouses.some((w) => w.id === current) ? current : "";
+  renderWarehouseState();
+}
+
+function renderWarehouseState() {
+  const warehouse = warehouses.find((w) => w.id === warehouseInput.value.trim());
+  const stopped = warehouse && warehouse.state !== "RUNNING";
+  warehouseState.classList.toggle("hidden", !warehouse);
+  warehouseState.classList.toggle("stopped", !!stopped);
+  startWarehouseBtn.classList.toggle("hidden", warehouse?.state !== "STOPPED");
+  if (!warehouse) return;
+
+  if (!stopped) {
+    warehouseStateText.textContent = `"${warehouse.name}" is running.`;
+  } else if (warehousePolicySelect.value === "fallback" && warehouses.some((w) => w.state === "RUNNING")) {
+    warehouseStateText.textContent = `"${warehouse.name}" is ${warehouse.state}. Lookups will use a running warehouse.`;
+  } else {
+    warehouseStateText.textContent = `"${warehouse.name}" is ${warehouse.state}. Lookups will wait for it to start.`;
+  }
+}
+
+async function loadWarehouses() {
+  const profileId = selectedProfileId;
+  const result = await sendMessage({ action: "listWarehouses", profileId });
+  if (profileId !== selectedProfileId) return; // switched profiles meanwhile
+  if (result.error) {
+    warehouses = [];
+    renderWarehouses("Could not list warehouses");
+    return;
+  }
+  warehouses = result.warehouses;
+  renderWarehouses(warehouses.length ? "Choose a warehouse" : "No warehouses found");
+}
+
 async function updateUI() {
-  const config = await sendMessage({ action: "getConfig" });
+  const [config, redirect] = await Promise.all([
+    sendMessage({ action: "getConfig" }),
+    sendMessage({ action: "getRedirectUrl" }),
+  ]);
+  redirectUrlCode.textContent = redirect.redirectUrl || "";
   if (config.error) {
     showMessage(config.error, "error");
     return;
   }
 
-  workspaceInput.value = config.workspaceUrl || "";
-  warehouseInput.value = config.warehouseId || "";
-  // Don't populate PAT in the field (security), but show placeholder hint
-  patTokenInput.placeholder = config.hasToken ? "********** (saved)" : "dapi...";
+  profiles = config.profiles;
+  if (!profiles.some((p) => p.id === selectedProfileId)) {
+    selectedProfileId = profiles[0]?.id || null;
+  }
+  renderProfileSelect();
+  renderProfileForm();
+  renderMappings(config);
+  for (const input of siteInputs) input.checked = config.siteSettings[input.dataset.site] !== false;
+  freshnessEnabledInput.checked = config.freshnessSettings.enabled;
+  coldDaysInput.value = config.freshnessSettings.coldDays;
+  renderGovernanceSettings(config.governanceSettings);
+  await updateCache();
+}
+
+function renderMappings(config) {
+  offlineModeInput.checked = config.offlineMode;
+  mappingList.replaceChildren();
 
-  cacheStats.textContent = `${config.cacheSize} resolved UUIDs cached`;
-  cacheUpdated.textContent = config.cacheUpdatedAt
-    ? `Last updated: ${formatTimestamp(config.cacheUpdatedAt)}`
+  for (const mapping of config.importedMappings) {
+    const li = document.createElement("li");
+    li.className = "cache-entry";
+    const source = document.createElement("div");
+    source.className = "uuid";
+    source.textContent = `${mapping.profileName} · ${mapping.workspaceUrl || "unknown workspace"}`;
+    const meta = document.createElement("div");
+    meta.className = "meta";
+    meta.textContent =
+      `${mapping.size} names, ${mapping.externalSize} external paths · ` +
+      `${mapping.exportedAt ? formatAge(mapping.exportedAt) : "export date unknown"} · ` +
+      `imported ${formatTimestamp(mapping.importedAt)}`;
+
+    const remove = document.createElement("button");
+    remove.className = "btn secondary small";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", async () => {
+      const result = await sendMessage({ action: "deleteMapping", mappingId: mapping.id });
+      if (result.error) {
+        showMessage(result.error, "error");
+      } else {
+        showMessage("Mapping removed", "success");
+        await updateUI();
+      }
+    });
+
+    li.append(source, meta, remove);
+    mappingList.appendChild(li);
+  }
+}
+
+async function updateCache() {
+  const info = await sendMessage({ action: "getCacheInfo" });
+  if (info.error) {
+    cacheStats.textContent = info.error;
+    return;
+  }
+
+  cacheStats.textContent = `${info.size} resolved UUIDs cached, ${info.stale} stale`;
+  const lookups = info.stats.hits + info.stats.misses;
+  cacheHitRate.textContent = lookups
+    ? `${info.stats.hits} hits, ${info.stats.misses} misses ` +
+      `(${Math.round((info.stats.hits / lookups) * 100)}% hit rate) since ${formatTimestamp(info.stats.since)}`
     : "";
+  cacheUpdated.textContent = [
+    info.updatedAt ? `Last updated: ${formatTimestamp(info.updatedAt)}` : "",
+    info.prunedAt ? `Last pruned: ${formatTimestamp(info.prunedAt)}` : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  for (const input of ttlInputs) input.value = info.settings.ttlHours[input.dataset.type];
+  maxEntriesInput.value = info.settings.maxEntries;
+}
+
+function renderCacheEntries(entries, emptyText) {
+  cacheEntryList.replaceChildren();
+  if (entries.length === 0) {
+    const li = document.createElement("li");
+    li.className = "meta";
+    li.textContent = emptyText;
+    cacheEntryList.appendChild(li);
+    return;
+  }
+
+  const profileNames = Object.fromEntries(profiles.map((p) => [p.id, p.name]));
+  for (const entry of entries) {
+    const li = document.createElement("li");
+    li.className = "cache-entry";
+    const name = document.createElement("div");
+    name.className = "uuid";
+    name.textContent = `${entry.fullName} (${entry.type})`;
+    const meta = document.createElement("div");
+    meta.className = "meta";
+    meta.textContent =
+      `${entry.uuid} · ${profileNames[entry.profileId] || entry.profileId} · ` +
+      `cached ${formatTimestamp(entry.cachedAt)}${entry.stale ? " · stale" : ""}`;
+
+    const refresh = document.createElement("button");
+    refresh.className = "btn secondary small";
+    refresh.textContent = "Refresh";
+    refresh.addEventListener("click", async () => {
+      refresh.disabled = true;
+      const result = await sendMessage({ action: "refreshCacheEntry", key: entry.key });
+      if (result.error) {
+        showMessage(result.error, "error");
+        refresh.disabled = false;
+        return;
+      }
+      showMessage(
+        result.removed ? `${entry.uuid} no longer resolves; entry removed` : `Refreshed: ${result.fullName}`,
+        "success"
+      );
+      li.remove();
+      await updateCache();
+    });
+
+    li.append(name, meta, refresh);
+    cacheEntryList.appendChild(li);
+  }
+}
+
+async function listCacheEntries(staleOnly) {
+  const result = await sendMessage({
+    action: "listCacheEntries",
+    query: cacheQueryInput.value,
+    staleOnly,
+  });
+  if (result.error) {
+    showMessage(result.error, "error");
+    return;
+  }
+  renderCacheEntries(result.entries, staleOnly ? "No stale entries" : "No matching entries");
+}
+
+let orphans = [];
+
+function describeOrphan(orphan) {
+  const parts = [orphan.objectType];
+  if (orphan.bucket) parts.push(`bucket ${orphan.bucket}`);
+  if (orphan.dropped) {
+    parts.push(`dropped ${orphan.dropped.fullName} at ${orphan.dropped.droppedAt || "unknown"}`);
+  }
+  parts.push(`last seen ${formatTimestamp(orphan.lastSeen)}`);
+  return parts.join(" · ");
+}
+
+async function updateOrphans() {
+  const result = await sendMessage({ action: "getOrphans" });
+  if (result.error) {
+    orphanStats.textContent = result.error;
+    return;
+  }
+
+  orphans = result.orphans;
+  orphanStats.textContent = `${orphans.length} orphan UUIDs seen`;
+  orphanList.replaceChildren();
+  for (const orphan of orphans) {
+    const li = document.createElement("li");
+    const uuid = document.createElement("div");
+    uuid.className = "uuid";
+    uuid.textContent = orphan.uuid;
+    const meta = document.createElement("div");
+    meta.className = "meta";
+    meta.textContent = describeOrphan(orphan);
+    li.append(uuid, meta);
+    orphanList.appendChild(li);
+  }
+  copyOrphansBtn.disabled = orphans.length === 0;
+}
+
+// --------------- Table Search ---------------
+
+const SUGGEST_DEBOUNCE_MS = 250;
+
+let suggestTimer = null;
+let locatedTable = null; // last locateTable result
+
+function renderSuggestions(names) {
+  tableSuggestions.replaceChildren(...names.map((name) => new Option(name, name)));
+}
+
+async function suggestTables(remote = false) {
+  const query = tableSearchInput.value.trim();
+  if (!selectedProfileId || query.length < 2) {
+    renderSuggestions([]);
+    return [];
+  }
+  const result = await sendMessage({ action: "suggestTables", profileId: selectedProfileId, query, remote });
+  if (result.error) {
+    showMessage(result.error, "error");
+    return [];
+  }
+  renderSuggestions(result.names);
+  return result.names;
+}
+
+function renderTableLocation() {
+  tableLocation.classList.toggle("hidden", !locatedTable);
+  if (!locatedTable) return;
+  tableLocationName.textContent = `${locatedTable.fullName} · ${locatedTable.tableType || "table"}`;
+  tableBucket.textContent = locatedTable.bucket;
+  tablePrefix.textContent = locatedTable.prefix || "(bucket root)";
+  openLensBtn.disabled = !locatedTable.lensDashboardUrl;
+  openLensBtn.title = locatedTable.lensDashboardUrl
+    ? "Opens the last Storage Lens dashboard you visited and highlights the table's prefixes"
+    : "Open a Storage Lens dashboard once so S3 Lens knows where it is";
+}
+
+async function locateTable() {
+  const name = tableSearchInput.value.trim();
+  if (!selectedProfileId) {
+    showMessage("Save a profile first", "error");
+    return;
+  }
+  if (!name) return;
+
+  locateTableBtn.disabled = true;
+  locateTableBtn.textContent = "Finding...";
+  try {
+    if (name.split(".").length !== 3) {
+      // Partial name: offer the workspace's matching tables instead
+      const names = await suggestTables(true);
+      showMessage(names.length ? `${names.length} matching tables, pick one` : "No matching tables", "info");
+      return;
+    }
+    const result = await sendMessage({ action: "locateTable", profileId: selectedProfileId, fullName: name });
+    if (result.error) {
+      showMessage(result.error, "error");
+      return;
+    }
+    locatedTable = result;
+    renderTableLocation();
+  } finally {
+    locateTableBtn.disabled = false;
+    locateTableBtn.textContent = "Find";
+  }
 }
 
 // --------------- Event Handlers ---------------
 
+profileSelect.addEventListener("change", () => {
+  selectedProfileId = profileSelect.value || null;
+  renderProfileSelect();
+  renderProfileForm();
+});
+
+newProfileBtn.addEventListener("click", () => {
+  selectedProfileId = null;
+  renderProfileSelect();
+  renderProfileForm();
+  profileNameInput.focus();
+});
+
 saveBtn.addEventListener("click", async () => {
   const updates = {};
+  const name = profileNameInput.value.trim();
   const wsUrl = workspaceInput.value.trim();
+  const backend = backendSelect.value;
   const warehouse = warehouseInput.value.trim();
+  const authMethod = authMethodSelect.value;
   const pat = patTokenInput.value.trim();
+  const clientId = clientIdInput.value.trim();
+  const clientSecret = clientSecretInput.value.trim();
 
+  if (!name) {
+    showMessage("Profile name is required", "error");
+    return;
+  }
   if (!wsUrl) {
     showMessage("Workspace URL is required", "error");
     return;
   }
-  if (!warehouse) {
+  if (!warehouse && backend !== "rest") {
     showMessage("Warehouse ID is required", "error");
     return;
   }
+  if (authMethod !== "pat" && !clientId) {
+    showMessage("OAuth client ID is required", "error");
+    return;
+  }
 
+  updates.id = selectedProfileId || undefined;
+  updates.name = name;
   updates.workspaceUrl = wsUrl;
   updates.warehouseId = warehouse;
-  // Only update PAT if user actually typed something new
+  updates.backend = backend;
+  updates.warehousePolicy = warehousePolicySelect.value;
+  updates.buckets = parseBuckets(bucketsInput.value);
+  updates.indexMode = indexModeInput.checked;
+  updates.externalPaths = externalPathsInput.checked;
+  updates.authMethod = authMethod;
+  // Only update secrets if user actually typed something new
   if (pat) {
     updates.patToken = pat;
   }
+  if (authMethod !== "pat") {
+    updates.clientId = clientId;
+  }
+  if (clientSecret) {
+    updates.clientSecret = clientSecret;
+  }
 
-  const result = await sendMessage({ action: "saveConfig", ...updates });
+  const result = await sendMessage({ action: "saveProfile", profile: updates });
   if (result.error) {
     showMessage(result.error, "error");
   } else {
     showMessage("Configuration saved", "success");
-    patTokenInput.value = "";
+    selectedProfileId = result.id;
     await updateUI();
   }
 });
@@ -92,7 +582,7 @@ testBtn.addEventListener("click", async () => {
   testBtn.disabled = true;
   testBtn.textContent = "Testing...";
 
-  const result = await sendMessage({ action: "testConnection" });
+  const result = await sendMessage({ action: "testConnection", profileId: selectedProfileId });
 
   testBtn.disabled = false;
   testBtn.textContent = "Test Connection";
@@ -100,8 +590,279 @@ testBtn.addEventListener("click", async () => {
   if (result.error) {
     showMessage(`Connection failed: ${result.error}`, "error");
   } else {
-    showMessage("Connection successful!", "success");
+    showMessage(
+      `Connection successful! Running as ${result.identity} (${AUTH_LABELS[result.authMethod]})`,
+      "success"
+    );
+  }
+});
+
+authMethodSelect.addEventListener("change", renderAuthFields);
+
+tableSearchInput.addEventListener("input", () => {
+  clearTimeout(suggestTimer);
+  suggestTimer = setTimeout(() => suggestTables(), SUGGEST_DEBOUNCE_MS);
+});
+
+tableSearchInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") locateTable();
+});
+
+locateTableBtn.addEventListener("click", locateTable);
+
+openS3Btn.addEventListener("click", () => {
+  if (locatedTable) chrome.tabs.create({ url: locatedTable.s3Url });
+});
+
+openLensBtn.addEventListener("click", async () => {
+  if (!locatedTable) return;
+  const result = await sendMessage({ action: "openInStorageLens", fullName: locatedTable.fullName });
+  if (result.error) showMessage(result.error, "error");
+});
+
+warehouseSelect.addEventListener("change", () => {
+  if (warehouseSelect.value) warehouseInput.value = warehouseSelect.value;
+  renderWarehouseState();
+});
+
+warehouseInput.addEventListener("input", () => {
+  const current = warehouseInput.value.trim();
+  warehouseSelect.value = warehouses.some((w) => w.id === current) ? current : "";
+  renderWarehouseState();
+});
+
+warehousePolicySelect.addEventListener("change", renderWarehouseState);
+
+refreshWarehousesBtn.addEventListener("click", async () => {
+  refreshWarehousesBtn.disabled = true;
+  await loadWarehouses();
+  refreshWarehousesBtn.disabled = false;
+});
+
+startWarehouseBtn.addEventListener("click", async () => {
+  startWarehouseBtn.disabled = true;
+  const result = await sendMessage({
+    action: "startWarehouse",
+    profileId: selectedProfileId,
+    warehouseId: warehouseInput.value.trim(),
+  });
+  startWarehouseBtn.disabled = false;
+
+  if (result.error) {
+    showMessage(`Could not start warehouse: ${result.error}`, "error");
+  } else {
+    showMessage("Warehouse starting", "success");
+    await loadWarehouses();
+  }
+});
+
+signInBtn.addEventListener("click", async () => {
+  signInBtn.disabled = true;
+  const result = await sendMessage({ action: "signIn", profileId: selectedProfileId });
+  signInBtn.disabled = false;
+
+  if (result.error) {
+    showMessage(result.error, "error");
+  } else {
+    showMessage(`Signed in as ${result.identity}`, "success");
+    await updateUI();
+  }
+});
+
+signOutBtn.addEventListener("click", async () => {
+  const result = await sendMessage({ action: "signOut", profileId: selectedProfileId });
+  if (result.error) {
+    showMessage(result.error, "error");
+  } else {
+    showMessage("Signed out", "success");
+    await updateUI();
+  }
+});
+
+rebuildIndexBtn.addEventListener("click", async () => {
+  rebuildIndexBtn.disabled = true;
+  rebuildIndexBtn.textContent = "Rebuilding...";
+
+  const result = await sendMessage({ action: "rebuildIndex", profileId: selectedProfileId });
+
+  rebuildIndexBtn.disabled = false;
+  rebuildIndexBtn.textContent = "Rebuild Index";
+
+  if (result.error) {
+    showMessage(`Index rebuild failed: ${result.error}`, "error");
+  } else {
+    showMessage(`Index rebuilt: ${result.size} entries`, "success");
+    await updateUI();
+  }
+});
+
+deleteProfileBtn.addEventListener("click", async () => {
+  const profile = profiles.find((p) => p.id === selectedProfileId);
+  if (!profile) return;
+  if (!confirm(`Delete profile "${profile.name}" and its cached names?`)) return;
+
+  const result = await sendMessage({ action: "deleteProfile", profileId: profile.id });
+  if (result.error) {
+    showMessage(result.error, "error");
+  } else {
+    showMessage("Profile deleted", "success");
+    selectedProfileId = null;
+    await updateUI();
+  }
+});
+
+copyOrphansBtn.addEventListener("click", async () => {
+  const lines = orphans.map((o) => `${o.uuid}\t${describeOrphan(o)}`);
+  await navigator.clipboard.writeText(lines.join("\n"));
+  showMessage(`Copied ${orphans.length} orphan UUIDs`, "success");
+});
+
+exportMappingBtn.addEventListener("click", async () => {
+  const result = await sendMessage({ action: "exportMapping", profileId: selectedProfileId });
+  if (result.error) {
+    showMessage(result.error, "error");
+    return;
+  }
+  const { mapping } = result;
+  const name = mapping.source.profileName.replace(/[^\w-]+/g, "-") || "profile";
+  downloadJson(mapping, `s3-lens-mapping-${name}-${new Date().toISOString().slice(0, 10)}.json`);
+  showMessage(
+    `Exported ${Object.keys(mapping.entries).length} names and ${mapping.external.length} external paths`,
+    "success"
+  );
+});
+
+importMappingBtn.addEventListener("click", () => mappingFileInput.click());
+
+mappingFileInput.addEventListener("change", async () => {
+  const file = mappingFileInput.files[0];
+  mappingFileInput.value = "";
+  if (!file) return;
+
+  let mapping;
+  try {
+    mapping = JSON.parse(await file.text());
+  } catch {
+    showMessage("The file is not valid JSON", "error");
+    return;
+  }
+  const result = await sendMessage({ action: "importMapping", mapping });
+  if (result.error) {
+    showMessage(result.error, "error");
+  } else {
+    showMessage(`Imported ${result.mapping.size} names from ${result.mapping.profileName}`, "success");
+    await updateUI();
+  }
+});
+
+offlineModeInput.addEventListener("change", async () => {
+  const result = await sendMessage({ action: "setOfflineMode", enabled: offlineModeInput.checked });
+  if (result.error) {
+    showMessage(result.error, "error");
+  } else {
+    showMessage(offlineModeInput.checked ? "Offline mapping mode on" : "Offline mapping mode off", "success");
+  }
+});
+
+for (const input of siteInputs) {
+  input.addEventListener("change", async () => {
+    const result = await sendMessage({ action: "setSiteEnabled", site: input.dataset.site, enabled: input.checked });
+    if (result.error) showMessage(result.error, "error");
+  });
+}
+
+async function saveFreshnessSettings() {
+  const result = await sendMessage({
+    action: "saveFreshnessSettings",
+    settings: { enabled: freshnessEnabledInput.checked, coldDays: Number(coldDaysInput.value) },
+  });
+  if (result.error) {
+    showMessage(result.error, "error");
+    return;
+  }
+  coldDaysInput.value = result.settings.coldDays;
+}
+
+freshnessEnabledInput.addEventListener("change", saveFreshnessSettings);
+coldDaysInput.addEventListener("change", saveFreshnessSettings);
+
+function renderGovernanceSettings(settings) {
+  governanceEnabledInput.checked = settings.enabled;
+  chipTagKeysInput.value = settings.chipTagKeys.join(", ");
+  colorTagKeyInput.value = settings.colorTagKey;
+}
+
+async function saveGovernanceSettings() {
+  const result = await sendMessage({
+    action: "saveGovernanceSettings",
+    settings: {
+      enabled: governanceEnabledInput.checked,
+      chipTagKeys: chipTagKeysInput.value.split(","),
+      colorTagKey: colorTagKeyInput.value,
+    },
+  });
+  if (result.error) {
+    showMessage(result.error, "error");
+    return;
+  }
+  renderGovernanceSettings(result.settings);
+}
+
+governanceEnabledInput.addEventListener("change", saveGovernanceSettings);
+chipTagKeysInput.addEventListener("change", saveGovernanceSettings);
+colorTagKeyInput.addEventListener("change", saveGovernanceSettings);
+
+async function exportFromPage(format) {
+  const result = await sendToActiveTab({ action: "exportRows", format });
+  if (!result) {
+    showMessage("No Storage Lens prefixes on this tab", "error");
+  } else {
+    showMessage(`Exported ${result.count} rows as ${format.toUpperCase()}`, "success");
+  }
+}
+
+exportCsvBtn.addEventListener("click", () => exportFromPage("csv"));
+exportJsonBtn.addEventListener("click", () => exportFromPage("json"));
+
+enrichBtn.addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("enrich.html") });
+});
+
+diagnosticsBtn.addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("diagnostics.html") });
+});
+
+clearOrphansBtn.addEventListener("click", async () => {
+  const result = await sendMessage({ action: "clearOrphans" });
+  if (result.error) {
+    showMessage(result.error, "error");
+  } else {
+    showMessage("Orphan list cleared", "success");
+    await updateOrphans();
+  }
+});
+
+saveCacheSettingsBtn.addEventListener("click", async () => {
+  const ttlHours = {};
+  for (const input of ttlInputs) {
+    if (input.value !== "") ttlHours[input.dataset.type] = Math.max(0, Number(input.value));
   }
+  const result = await sendMessage({
+    action: "saveCacheSettings",
+    settings: { ttlHours, maxEntries: Number(maxEntriesInput.value) || undefined },
+  });
+  if (result.error) {
+    showMessage(result.error, "error");
+  } else {
+    showMessage("Cache settings saved", "success");
+    await updateCache();
+  }
+});
+
+findEntriesBtn.addEventListener("click", () => listCacheEntries(false));
+showStaleBtn.addEventListener("click", () => listCacheEntries(true));
+cacheQueryInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") listCacheEntries(false);
 });
 
 clearCacheBtn.addEventListener("click", async () => {
@@ -110,9 +871,11 @@ clearCacheBtn.addEventListener("click", async () => {
     showMessage(result.error, "error");
   } else {
     showMessage("Cache cleared", "success");
+    cacheEntryList.replaceChildren();
     await updateUI();
   }
 });
 
 // --------------- Init ---------------
 updateUI();
+updateOrphans();
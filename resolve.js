@@ -0,0 +1,156 @@
+// ============================================================
+// resolve.js — Selection resolver window
+// Opened by the "Resolve with S3 Lens" context menu item and the
+// keyboard command with the selected text. Finds __unitystorage
+// paths and bare UUIDs in it, resolves them through the background
+// and lists the names with copy buttons.
+// ============================================================
+
+const UUID_IN_TEXT_RE = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+
+const $ = (sel) => document.querySelector(sel);
+
+const selectionInput = $("#selection-input");
+const resolveBtn = $("#resolve-btn");
+const statusText = $("#status");
+const resultList = $("#results");
+const copyAllBtn = $("#copy-all-btn");
+const messageDiv = $("#message");
+
+let resolvedNames = [];
+
+// --------------- Helpers ---------------
+
+function showMessage(text, type = "info") {
+  messageDiv.textContent = text;
+  messageDiv.className = `message ${type}`;
+  messageDiv.classList.remove("hidden");
+  setTimeout(() => messageDiv.classList.add("hidden"), 4000);
+}
+
+function sendMessage(msg) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(msg, resolve);
+  });
+}
+
+async function copyText(text, what) {
+  await navigator.clipboard.writeText(text);
+  showMessage(`Copied ${what}`, "success");
+}
+
+// --------------- Parsing ---------------
+
+/**
+ * The UUIDs in a piece of text, in order of appearance. UUIDs inside a
+ * __unitystorage path get their type from the path (parseUnityPath); any
+ * other UUID is bare and has type null.
+ *
+ * Returns { typedUuids, bareUuids, order } where typedUuids is the
+ * Map<uuid, { uuid, type, bucket, parent }> of addTypedUuids.
+ */
+function extractUuids(text) {
+  const uuidsIn = (s) => Array.from(s.matchAll(UUID_IN_TEXT_RE), ([uuid]) => uuid.toLowerCase());
+  const typedUuids = new Map();
+  const inPaths = new Set(); // includes UUIDs a path holds but doesn't type, e.g. model versions
+  for (const path of unityPathsInText(text)) {
+    const parsed = parseUnityPath(path);
+    if (parsed) addTypedUuids(typedUuids, parsed, parseBucket(path));
+    for (const uuid of uuidsIn(path)) inPaths.add(uuid);
+  }
+
+  const order = [...new Set(uuidsIn(text))].filter((uuid) => typedUuids.has(uuid) || !inPaths.has(uuid));
+  const bareUuids = order.filter((uuid) => !typedUuids.has(uuid));
+  return { typedUuids, bareUuids, order };
+}
+
+// --------------- Results ---------------
+
+function renderResults(order, typedUuids, matches) {
+  resultList.replaceChildren();
+  resolvedNames = [];
+
+  for (const uuid of order) {
+    const fields = describeMatch(matches[uuid]);
+    const pathType = typedUuids.get(uuid)?.type;
+
+    const li = document.createElement("li");
+    li.className = fields.status;
+    const text = document.createElement("div");
+    text.className = "result-text";
+    const name = document.createElement("div");
+    name.className = "name";
+    const meta = document.createElement("div");
+    meta.className = "meta";
+
+    if (fields.status === "resolved") {
+      name.textContent = fields.full_name;
+      meta.textContent = `${fields.type} · ${uuid}`;
+    } else if (fields.status === "orphan") {
+      name.textContent = fields.full_name ? `${fields.full_name} (dropped)` : uuid;
+      meta.textContent = `Orphaned ${fields.type}: no workspace knows this UUID`;
+    } else {
+      name.textContent = uuid;
+      meta.textContent = pathType
+        ? `Not found as a ${pathType}`
+        : "Not found as a table, schema or catalog";
+    }
+    text.append(name, meta);
+    li.appendChild(text);
+
+    if (fields.full_name) {
+      resolvedNames.push(fields.full_name);
+      const copyBtn = document.createElement("button");
+      copyBtn.className = "btn secondary small";
+      copyBtn.textContent = "Copy";
+      copyBtn.addEventListener("click", () => copyText(fields.full_name, fields.full_name));
+      li.appendChild(copyBtn);
+    }
+    resultList.appendChild(li);
+  }
+
+  copyAllBtn.classList.toggle("hidden", resolvedNames.length < 2);
+}
+
+async function resolveText() {
+  const { typedUuids, bareUuids, order } = extractUuids(selectionInput.value);
+  resultList.replaceChildren();
+  copyAllBtn.classList.add("hidden");
+  if (order.length === 0) {
+    statusText.textContent = "No UUIDs or __unitystorage paths in the text.";
+    return;
+  }
+
+  statusText.textContent = `Resolving ${order.length} UUID${order.length === 1 ? "" : "s"}...`;
+  resolveBtn.disabled = true;
+  try {
+    const [typed, bare] = await Promise.all([
+      typedUuids.size > 0
+        ? sendMessage({ action: "lookupUuids", uuids: Array.from(typedUuids.values()) })
+        : { matches: {} },
+      bareUuids.length > 0 ? sendMessage({ action: "lookupBareUuids", uuids: bareUuids }) : { matches: {} },
+    ]);
+    const matches = { ...typed.matches, ...bare.matches };
+    renderResults(order, typedUuids, matches);
+
+    const resolved = order.filter((uuid) => matches[uuid] && matches[uuid].type !== "orphan").length;
+    statusText.textContent = `${resolved} of ${order.length} resolved.`;
+    const errors = [typed.error, bare.error].filter(Boolean);
+    if (errors.length > 0) showMessage(errors.join("; "), "error");
+  } finally {
+    resolveBtn.disabled = false;
+  }
+}
+
+// --------------- Event Handlers ---------------
+
+resolveBtn.addEventListener("click", resolveText);
+
+copyAllBtn.addEventListener("click", () => {
+  copyText(resolvedNames.join("\n"), `${resolvedNames.length} names`);
+});
+
+// --------------- Init ---------------
+selectionInput.value = new URLSearchParams(location.search).get("text") || "";
+if (selectionInput.value.trim()) resolveText();
+else selectionInput.focus();